@@ -15,42 +15,76 @@
 import {
   createPublicClient,
   createWalletClient,
-  http,
   decodeEventLog,
   serializeTransaction,
   keccak256,
   parseUnits,
   formatUnits,
+  parseGwei,
+  formatGwei,
   isAddress,
   parseAbi,
   encodeFunctionData,
   toHex,
   stringToHex,
+  hashTypedData,
+  domainSeparator,
+  parseSignature,
+  toFunctionSelector,
 } from 'viem';
-import { base } from 'viem/chains';
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
-import { join } from 'node:path';
-import { homedir } from 'node:os';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readFileSync, writeFileSync, appendFileSync, mkdirSync, existsSync, renameSync, readdirSync, lstatSync, createReadStream, mkdtempSync, rmSync } from 'node:fs';
+import { randomBytes, scryptSync, pbkdf2Sync, createDecipheriv, createHash } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { Writable } from 'node:stream';
+import { join, basename, relative, sep, dirname, resolve, extname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { spawnSync } from 'node:child_process';
+import { SESSION_DIR, NETWORKS_FILE, loadNetwork, rpcTransport } from './network.mjs';
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
-const PROXY_URL = process.env.CLARA_PROXY_URL || 'https://clara-proxy.bflynn-me.workers.dev';
-const RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+const IPFS_API = process.env.CLARA_IPFS_API || '';
+const IPFS_DIR = process.env.CLARA_IPFS_DIR || '';
+const IPFS_GATEWAY = (process.env.CLARA_IPFS_GATEWAY || 'https://ipfs.io').replace(/\/+$/, '');
 
-const CONTRACTS = {
-  IDENTITY_REGISTRY: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
-  REPUTATION_REGISTRY: '0x8004BAa17C55a88189AE136b182e5fdA19dE9b63',
-  BOUNTY_FACTORY: '0x639A05560Cf089187494f9eE357D7D1c69b7558e',
-};
+if (!process.argv[2] || process.argv[2] === 'help' || process.argv[2] === '--help') {
+  printHelp();
+  process.exit(0);
+}
 
-const TOKENS = {
-  USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
-  USDT: { address: '0xfde4C96c8593536E5a98a31fF2326B4b8b60B8d9', decimals: 6 },
-  DAI:  { address: '0x50c5725949A6F0c72e6C4A641f24049A917DB0Cb', decimals: 18 },
-  WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
-};
+let NETWORK;
+try {
+  NETWORK = loadNetwork(process.argv.slice(2));
+} catch (err) {
+  output({ ok: false, error: err.message });
+  process.exit(1);
+}
 
-const BOUNTY_FIRST_BLOCK = 41888723n;
+const CHAIN = NETWORK.chain;
+const PROXY_URL = NETWORK.proxyUrl;
+const CONTRACTS = NETWORK.contracts;
+const TOKENS = NETWORK.tokens;
+const BOUNTY_FIRST_BLOCK = NETWORK.firstBlock;
+const BLOCKS_PER_DAY = Math.round(86400 / NETWORK.blockTime);
+
+/** Throw unless the selected network has every Clara contract address */
+function requireContracts() {
+  if (NETWORK.missingContracts.length === 0) return;
+  throw new Error(
+    `Network "${NETWORK.name}" is missing contract addresses (${NETWORK.missingContracts.join(', ')}). ` +
+    `Add them under networks.${NETWORK.name}.contracts in ${NETWORKS_FILE}`
+  );
+}
+
+/** Per-network state file: mainnet keeps the original names, others get a suffix */
+function networkPath(file) {
+  if (NETWORK.name === 'mainnet') return join(SESSION_DIR, file);
+  const dot = file.lastIndexOf('.');
+  return dot === -1
+    ? join(SESSION_DIR, `${file}-${NETWORK.name}`)
+    : join(SESSION_DIR, `${file.slice(0, dot)}-${NETWORK.name}${file.slice(dot)}`);
+}
 const BOUNTY_STATUS = ['Open', 'Claimed', 'Submitted', 'Approved', 'Rejected', 'Cancelled', 'Expired'];
 
 // ─── ABIs (human-readable format via viem parseAbi) ─────────────────────────
@@ -69,16 +103,20 @@ const identityAbi = parseAbi([
 const reputationAbi = parseAbi([
   'function giveFeedback(uint256 agentId, int128 value, uint8 valueDecimals, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash)',
   'function getSummary(uint256 agentId, address[] clientAddresses, string tag1, string tag2) view returns (uint64 count, int128 summaryValue, uint8 summaryValueDecimals)',
+  'event NewFeedback(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, uint8 valueDecimals, string indexed indexedTag1, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash)',
+  'event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 indexed feedbackIndex)',
 ]);
 
 const factoryAbi = parseAbi([
   'function createBounty(address token, uint256 amount, uint256 deadline, string taskURI, string[] skillTags) returns (address bountyAddress)',
+  'function createBountyWithPermit(address token, uint256 amount, uint256 deadline, string taskURI, string[] skillTags, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) returns (address bountyAddress)',
   'function bondRate() view returns (uint256)',
   'event BountyCreated(address indexed bountyAddress, address indexed poster, address token, uint256 amount, uint256 posterBond, uint256 bondRate, uint256 deadline, string taskURI, string[] skillTags)',
 ]);
 
 const bountyAbi = parseAbi([
   'function claim(uint256 agentId)',
+  'function claimWithPermit(uint256 agentId, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)',
   'function submitWork(string proofURI)',
   'function approve()',
   'function approveWithFeedback(int128 value, uint8 valueDecimals, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash)',
@@ -97,10 +135,30 @@ const bountyAbi = parseAbi([
   'function workerBond() view returns (uint256)',
   'function submittedAt() view returns (uint256)',
   'function rejectionCount() view returns (uint8)',
+  'event BountyClaimed(address indexed claimer, uint256 agentId)',
+  'event WorkSubmitted(address indexed claimer, string proofURI)',
+  'event BountyApproved(address indexed claimer, uint256 amount)',
+  'event BountyRejected(address indexed poster, address indexed claimer, uint8 rejectionCount)',
+  'event BountyCancelled(address indexed poster, uint256 amount)',
+]);
+
+/** EIP-2612 extensions, probed per token before a permit is signed */
+const permitAbi = parseAbi([
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+]);
+
+const wethAbi = parseAbi([
+  'function deposit() payable',
+  'function withdraw(uint256 amount)',
 ]);
 
 const erc20Abi = parseAbi([
   'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
   'function balanceOf(address account) view returns (uint256)',
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)',
@@ -108,7 +166,6 @@ const erc20Abi = parseAbi([
 
 // ─── Session Management ─────────────────────────────────────────────────────
 
-const SESSION_DIR = join(homedir(), '.openclaw', 'credentials', 'clara');
 const SESSION_FILE = join(SESSION_DIR, 'session.json');
 
 function loadSession() {
@@ -118,23 +175,64 @@ function loadSession() {
   } catch { return null; }
 }
 
+/** Small JSON state files (daemon cursors etc.) next to the session */
+function loadStateFile(file) {
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch { return null; }
+}
+
+function saveStateFile(file, state) {
+  mkdirSync(SESSION_DIR, { recursive: true });
+  writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
 function saveSession(session) {
   mkdirSync(SESSION_DIR, { recursive: true });
   writeFileSync(SESSION_FILE, JSON.stringify(session, null, 2), { mode: 0o600 });
 }
 
+/** CI: a raw key in the environment works without running setup first */
+function envSession() {
+  if (!process.env.CLARA_PRIVATE_KEY) return null;
+  return { signer: 'env', address: privateKeyToAccount(normalizePrivateKey(process.env.CLARA_PRIVATE_KEY)).address };
+}
+
 function requireSession() {
-  const session = loadSession();
-  if (!session) {
-    output({ ok: false, error: 'No wallet session. Run: node clara-work.mjs setup --email you@example.com' });
-    process.exit(1);
-  }
-  return session;
+  const session = loadSession() ?? envSession();
+  if (session) return session;
+  output({ ok: false, error: 'No wallet session. Run: node clara-work.mjs setup --email you@example.com' });
+  process.exit(1);
 }
 
 // ─── Para Custom Account (delegates signing to Clara Proxy) ─────────────────
 
 function createParaAccount(walletId, address) {
+  /** Sign a 32-byte digest via sign-raw; returns a 65-byte hex signature with v in {27, 28} */
+  async function signRaw(hash, what) {
+    const res = await fetch(`${PROXY_URL}/api/v1/wallets/${walletId}/sign-raw`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Clara-Address': address,
+      },
+      body: JSON.stringify({ data: hash }),
+    });
+
+    if (!res.ok) {
+      const err = await res.text();
+      throw new Error(`${what} failed (${res.status}): ${err}`);
+    }
+
+    const body = await res.json();
+    const sig = body.signature || body;
+    const rawSig = typeof sig === 'string' ? sig : sig.signature;
+    const sigHex = rawSig.startsWith('0x') ? rawSig : `0x${rawSig}`;
+    const vByte = parseInt(sigHex.slice(130, 132), 16);
+    return vByte < 27 ? `${sigHex.slice(0, 130)}${(vByte + 27).toString(16)}` : sigHex;
+  }
+
   return {
     address,
     type: 'local',
@@ -144,30 +242,12 @@ function createParaAccount(walletId, address) {
       const hash = keccak256(serialized);
 
       log(`Signing via Para...`);
-      const res = await fetch(`${PROXY_URL}/api/v1/wallets/${walletId}/sign-raw`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Clara-Address': address,
-        },
-        body: JSON.stringify({ data: hash }),
-      });
-
-      if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Signing failed (${res.status}): ${err}`);
-      }
-
-      const body = await res.json();
-      const sig = body.signature || body;
+      const sigHex = await signRaw(hash, 'Signing');
 
       // Parse 65-byte signature: r (32 bytes) + s (32 bytes) + v (1 byte)
-      const rawSig = typeof sig === 'string' ? sig : sig.signature;
-      const sigHex = rawSig.startsWith('0x') ? rawSig : `0x${rawSig}`;
       const r = `0x${sigHex.slice(2, 66)}`;
       const s = `0x${sigHex.slice(66, 130)}`;
-      const vByte = parseInt(sigHex.slice(130, 132), 16);
-      const yParity = vByte >= 27 ? vByte - 27 : vByte;
+      const yParity = parseInt(sigHex.slice(130, 132), 16) - 27;
 
       return serializer(tx, { r, s, yParity });
     },
@@ -191,27 +271,158 @@ function createParaAccount(walletId, address) {
       return body.signature || body;
     },
 
-    async signTypedData(_typedData) {
-      throw new Error('signTypedData not yet implemented for OpenClaw');
+    /** EIP-712: the proxy signs the typed-data digest like any other raw hash */
+    async signTypedData(typedData) {
+      log('Signing typed data via Para...');
+      return signRaw(hashTypedData(typedData), 'Typed-data signing');
     },
   };
 }
 
+// ─── Signers ────────────────────────────────────────────────────────────────
+//
+// A session names its signer backend:
+//   para      sign-raw through clara-proxy (default, and for pre-signer sessions)
+//   keystore  encrypted v3 JSON keystore, unlocked with CLARA_KEYSTORE_PASSWORD or a prompt
+//   env       raw private key in CLARA_PRIVATE_KEY, never written to disk
+
+const SIGNERS = ['para', 'keystore', 'env'];
+const KEYSTORE_FILE = join(SESSION_DIR, 'keystore.json');
+
+function normalizePrivateKey(key) {
+  const hex = key.trim().startsWith('0x') ? key.trim() : `0x${key.trim()}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) throw new Error('Private key must be 32 bytes of hex');
+  return hex;
+}
+
+function readKeystore(file) {
+  if (!existsSync(file)) throw new Error(`Keystore not found: ${file}`);
+  let keystore;
+  try {
+    keystore = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot parse keystore ${file}: ${err.message}`);
+  }
+  if (keystore.version !== 3 || !(keystore.crypto || keystore.Crypto)) {
+    throw new Error(`${file} is not a version 3 JSON keystore`);
+  }
+  return keystore;
+}
+
+/** Decrypt a v3 keystore (scrypt or pbkdf2, aes-128-ctr) to its private key */
+function decryptKeystore(keystore, password) {
+  const c = keystore.crypto || keystore.Crypto;
+  const kdf = c.kdfparams;
+  const salt = Buffer.from(kdf.salt, 'hex');
+  let derived;
+  if (c.kdf === 'scrypt') {
+    try {
+      derived = scryptSync(password, salt, kdf.dklen, { N: kdf.n, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.n * kdf.r });
+    } catch (err) {
+      throw new Error(`Unsupported keystore scrypt parameters (n=${kdf.n}, r=${kdf.r}, p=${kdf.p}): ${err.message}`);
+    }
+  } else if (c.kdf === 'pbkdf2') {
+    if (kdf.prf !== 'hmac-sha256') throw new Error(`Unsupported keystore PRF: ${kdf.prf}`);
+    derived = pbkdf2Sync(password, salt, kdf.c, kdf.dklen, 'sha256');
+  } else {
+    throw new Error(`Unsupported keystore KDF: ${c.kdf}`);
+  }
+  if (c.cipher !== 'aes-128-ctr') throw new Error(`Unsupported keystore cipher: ${c.cipher}`);
+
+  const ciphertext = Buffer.from(c.ciphertext, 'hex');
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2);
+  if (mac !== c.mac.toLowerCase()) throw new Error('Wrong keystore password');
+
+  const decipher = createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(c.cipherparams.iv, 'hex'));
+  return `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`;
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    // readline echoes through its output stream: let the question through, then mute it for the keystrokes
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk, encoding);
+        callback();
+      },
+    });
+    const rl = createInterface({ input: process.stdin, output, terminal: true });
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+function prompt(question) {
+  return new Promise((resolve) => {
+    const rl = createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function keystorePassword() {
+  if (process.env.CLARA_KEYSTORE_PASSWORD !== undefined) return process.env.CLARA_KEYSTORE_PASSWORD;
+  if (!process.stdin.isTTY) throw new Error('Keystore is locked: set CLARA_KEYSTORE_PASSWORD or run in a terminal');
+  return promptHidden('Keystore password: ');
+}
+
+async function unlockKeystore(file) {
+  return privateKeyToAccount(decryptKeystore(readKeystore(file), await keystorePassword()));
+}
+
+/** The viem account that signs for this session */
+async function createSignerAccount(session) {
+  const signer = session.signer || 'para';
+  let account;
+  if (signer === 'para') {
+    return createParaAccount(session.walletId, session.address);
+  } else if (signer === 'keystore') {
+    account = await unlockKeystore(session.keystoreFile || KEYSTORE_FILE);
+  } else if (signer === 'env') {
+    if (!process.env.CLARA_PRIVATE_KEY) throw new Error('This session uses the env signer but CLARA_PRIVATE_KEY is not set');
+    account = privateKeyToAccount(normalizePrivateKey(process.env.CLARA_PRIVATE_KEY));
+  } else {
+    throw new Error(`Unknown signer "${signer}". Use: ${SIGNERS.join(', ')}`);
+  }
+  if (account.address.toLowerCase() !== session.address.toLowerCase()) {
+    throw new Error(`The ${signer} key is for ${account.address}, but the session wallet is ${session.address}`);
+  }
+  return account;
+}
+
 // ─── Clients ────────────────────────────────────────────────────────────────
 
 function getPublicClient() {
-  return createPublicClient({ chain: base, transport: http(RPC_URL) });
+  return createPublicClient({ chain: CHAIN, transport: rpcTransport(NETWORK) });
+}
+
+async function getWalletClient(session) {
+  const account = await createSignerAccount(session);
+  return createWalletClient({ account, chain: CHAIN, transport: rpcTransport(NETWORK) });
 }
 
-function getWalletClient(session) {
-  const account = createParaAccount(session.walletId, session.address);
-  return createWalletClient({ account, chain: base, transport: http(RPC_URL) });
+/** Multicall where the chain has Multicall3, otherwise parallel reads with the same result shape */
+async function readMany(pub, contracts) {
+  if (CHAIN.contracts?.multicall3) return pub.multicall({ contracts });
+  return Promise.all(contracts.map(c => pub.readContract(c)
+    .then(result => ({ status: 'success', result }))
+    .catch(error => ({ status: 'failure', error }))));
 }
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
 function log(msg) { process.stderr.write(`${msg}\n`); }
 function output(obj) { console.log(JSON.stringify(obj, null, 2)); }
+function emitLine(obj) { console.log(JSON.stringify(obj)); }
+function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+function firstLine(str) { return String(str).split('\n')[0]; }
 
 function toDataURI(obj) {
   const json = JSON.stringify(obj);
@@ -227,15 +438,36 @@ function parseDataURI(uri) {
   } catch { return null; }
 }
 
+const DURATION_UNITS = {
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+  w: 604800, week: 604800, weeks: 604800,
+  mo: 2592000, month: 2592000, months: 2592000,
+};
+
+/**
+ * Parse a relative duration into seconds, or null if it isn't one:
+ * "3 days", "90 minutes", "45m", and combinations like "2h30m" or "1d 12h"
+ */
+function parseDuration(str) {
+  const text = String(str).trim().toLowerCase();
+  if (!/^(\d+\s*[a-z]+[\s,]*)+$/.test(text)) return null;
+  let seconds = 0;
+  for (const [, num, unit] of text.matchAll(/(\d+)\s*([a-z]+)/g)) {
+    if (!(unit in DURATION_UNITS)) return null;
+    seconds += parseInt(num) * DURATION_UNITS[unit];
+  }
+  return seconds;
+}
+
 function parseDeadline(str) {
-  const d = new Date(str);
-  if (!isNaN(d.getTime())) return Math.floor(d.getTime() / 1000);
+  const seconds = parseDuration(str);
+  if (seconds !== null) return Math.floor(Date.now() / 1000) + seconds;
 
-  const match = str.match(/^(\d+)\s*(hour|day|week|month)s?$/i);
-  if (!match) throw new Error(`Invalid deadline: "${str}". Use ISO date or relative like "3 days"`);
-  const [, num, unit] = match;
-  const seconds = { hour: 3600, day: 86400, week: 604800, month: 2592000 };
-  return Math.floor(Date.now() / 1000) + parseInt(num) * seconds[unit.toLowerCase()];
+  const d = new Date(str);
+  if (isNaN(d.getTime())) throw new Error(`Invalid deadline: "${str}". Use ISO date or relative like "3 days" or "2h30m"`);
+  return Math.floor(d.getTime() / 1000);
 }
 
 function resolveToken(symbol) {
@@ -249,13 +481,29 @@ function shortAddr(addr) {
   return addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : 'none';
 }
 
+/** Agent IDs are per deployment; mainnet keeps the original session.agentId field */
+function cachedAgentId(session) {
+  const id = NETWORK.name === 'mainnet' ? session?.agentId : session?.agentIds?.[NETWORK.name];
+  return id ?? null;
+}
+
+function cacheAgentId(session, agentId) {
+  if (NETWORK.name === 'mainnet') session.agentId = agentId;
+  else session.agentIds = { ...session.agentIds, [NETWORK.name]: agentId };
+  saveSession(session);
+}
+
 /** Look up agent ID for an address by scanning Register events */
 async function getAgentIdForAddress(pub, address) {
   // Check session cache first (avoids RPC log scanning limits)
   const session = loadSession();
-  if (session?.agentId && session.address?.toLowerCase() === address.toLowerCase()) {
-    return BigInt(session.agentId);
+  const cached = cachedAgentId(session);
+  if (cached !== null && session.address?.toLowerCase() === address.toLowerCase()) {
+    return BigInt(cached);
   }
+  // Then the local event index (populated by `sync`)
+  const indexed = findIndexedAgentId(loadIndex(), address);
+  if (indexed !== null) return indexed;
   try {
     const events = await pub.getContractEvents({
       address: CONTRACTS.IDENTITY_REGISTRY,
@@ -299,783 +547,4295 @@ function tokenSymbolByAddress(addr) {
   return shortAddr(addr);
 }
 
-// ─── Argument Parser ────────────────────────────────────────────────────────
+/** Worker bond for a bounty: the locked value once claimed, otherwise amount x bond rate */
+async function expectedWorkerBond(pub, bountyAddress) {
+  const [token, amount, workerBond] = await Promise.all(
+    ['token', 'amount', 'workerBond'].map(functionName =>
+      pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName })
+    )
+  );
+  if (workerBond > 0n) return { token, amount, bond: workerBond };
 
-function parseArgs(argv) {
-  const args = {};
-  for (let i = 0; i < argv.length; i++) {
-    if (argv[i].startsWith('--')) {
-      const key = argv[i].slice(2);
-      const next = argv[i + 1];
-      if (next && !next.startsWith('--')) {
-        args[key] = next;
-        i++;
-      } else {
-        args[key] = true;
-      }
-    } else if (!args._positional) {
-      args._positional = argv[i];
-    }
-  }
-  return args;
+  const bondRate = await pub.readContract({
+    address: CONTRACTS.BOUNTY_FACTORY,
+    abi: factoryAbi,
+    functionName: 'bondRate',
+  });
+  return { token, amount, bond: (amount * bondRate) / 10000n };
 }
 
-// ─── Commands ───────────────────────────────────────────────────────────────
-
-async function cmdSetup(args) {
-  const email = args.email;
-  if (!email) {
-    output({ ok: false, error: 'Email required: --email you@example.com' });
-    return;
-  }
+/** Approve `spender` for `amount` unless the current allowance already covers it */
+async function ensureAllowance(pub, tx, { token, owner, spender, amount }) {
+  const current = await pub.readContract({
+    address: token,
+    abi: erc20Abi,
+    functionName: 'allowance',
+    args: [owner, spender],
+  });
+  if (current >= amount) return null;
 
-  log(`Creating wallet for ${email}...`);
-  const res = await fetch(`${PROXY_URL}/api/v1/wallets`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      type: 'EVM',
-      userIdentifier: email,
-      userIdentifierType: 'EMAIL',
-    }),
+  log(`Approving ${shortAddr(spender)} to spend ${amount} of ${tokenSymbolByAddress(token)}...`);
+  const { hash } = await tx.send({
+    label: 'Approve',
+    address: token,
+    abi: erc20Abi,
+    functionName: 'approve',
+    args: [spender, amount],
   });
+  return hash;
+}
 
-  if (!res.ok) {
-    output({ ok: false, error: `Wallet creation failed (${res.status}): ${await res.text()}` });
-    return;
-  }
+// ─── Permits (EIP-2612) ─────────────────────────────────────────────────────
 
-  const wallet = await res.json();
-  const session = {
-    walletId: wallet.id,
-    address: wallet.address,
-    email,
-    chainId: 8453,
-    createdAt: new Date().toISOString(),
-  };
-  saveSession(session);
-  log(`Wallet ready: ${session.address}`);
+const PERMIT_TTL_SECONDS = 3600;
+const CREATE_WITH_PERMIT = 'createBountyWithPermit(address,uint256,uint256,string,string[],uint256,uint8,bytes32,bytes32)';
+const CLAIM_WITH_PERMIT = 'claimWithPermit(uint256,uint256,uint8,bytes32,bytes32)';
 
-  // Auto-request gas sponsorship for new wallets
-  const pub = getPublicClient();
-  const balance = await pub.getBalance({ address: session.address });
-  if (balance === 0n) {
-    log('Requesting gas sponsorship...');
-    try {
-      const gasRes = await fetch(`${PROXY_URL}/onboard/sponsor-gas`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Clara-Address': session.address,
-        },
-      });
-      if (gasRes.ok) {
-        log('Gas sponsored! You have enough ETH for transactions.');
-      } else {
-        log('Gas sponsorship unavailable. You may need to bridge ETH to Base.');
-      }
-    } catch {
-      log('Could not request gas sponsorship.');
-    }
-  }
+/** Runtime code of a contract, following EIP-1167 minimal proxies (bounty clones) */
+async function implementationCode(pub, address) {
+  const code = ((await pub.getCode({ address })) || '0x').toLowerCase();
+  const clone = code.match(/^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/);
+  return clone ? ((await pub.getCode({ address: `0x${clone[1]}` })) || '0x').toLowerCase() : code;
+}
 
-  output({ ok: true, address: session.address, walletId: session.walletId, email });
+/** Whether a contract dispatches `signature` (its selector appears as a PUSH4 operand) */
+async function hasFunction(pub, address, signature) {
+  const selector = toFunctionSelector(signature).slice(2);
+  return (await implementationCode(pub, address)).includes(`63${selector}`);
 }
 
-async function cmdStatus(_args) {
-  const session = loadSession();
-  if (!session) {
-    output({ ok: true, authenticated: false, message: 'No session. Run setup first.' });
-    return;
+/**
+ * The token's EIP-712 permit domain, or null. Support is only assumed when
+ * nonces() answers and a name/version pair reproduces DOMAIN_SEPARATOR().
+ */
+async function permitDomain(pub, token) {
+  const calls = ['DOMAIN_SEPARATOR', 'name', 'version'].map(functionName => ({ address: token, abi: permitAbi, functionName }));
+  calls.push({ address: token, abi: permitAbi, functionName: 'nonces', args: [token] });
+  const [separator, name, version, nonces] = await readMany(pub, calls);
+  if (separator.status !== 'success' || name.status !== 'success' || nonces.status !== 'success') return null;
+
+  const versions = new Set([version.status === 'success' ? version.result : null, '1', '2'].filter(Boolean));
+  for (const v of versions) {
+    const domain = { name: name.result, version: v, chainId: CHAIN.id, verifyingContract: token };
+    if (domainSeparator({ domain }) === separator.result) return domain;
   }
+  return null;
+}
 
-  const pub = getPublicClient();
-  const balance = await pub.getBalance({ address: session.address });
-
-  // Check if registered as agent
-  const agentId = await getAgentIdForAddress(pub, session.address);
+/** Permit domain when both the token and the spender's `fn` support a permit route */
+async function permitRoute(pub, token, spender, fn) {
+  if (!(await hasFunction(pub, spender, fn))) return null;
+  return permitDomain(pub, token);
+}
 
-  output({
-    ok: true,
-    authenticated: true,
-    address: session.address,
-    email: session.email,
-    ethBalance: formatUnits(balance, 18),
-    agentId: agentId !== null ? agentId.toString() : null,
+async function signPermit(pub, tx, domain, { owner, spender, value }) {
+  const nonce = await pub.readContract({ address: domain.verifyingContract, abi: permitAbi, functionName: 'nonces', args: [owner] });
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS);
+  const signature = await tx.signTypedData({
+    domain,
+    types: {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+    },
+    primaryType: 'Permit',
+    message: { owner, spender, value, nonce, deadline },
   });
+  const { r, s, v, yParity } = parseSignature(signature);
+  return { deadline, v: Number(v ?? BigInt(yParity + 27)), r, s };
 }
 
-async function cmdRegister(args) {
-  const session = requireSession();
-  const { name, skills, bio } = args;
+// Gas units kept back when wrapping ETH for a bond: the wrap, approve and claim that follow it
+const BOND_FLOW_GAS = 300_000n;
 
-  if (!name || !skills) {
-    output({ ok: false, error: 'Required: --name "Agent Name" --skills "sol,ts,react"' });
-    return;
+/**
+ * Check the session wallet can cover a bounty's worker bond and approve it.
+ * A WETH shortfall is wrapped from ETH when `wrap` is set; otherwise the
+ * result carries `ok: false` with the exact shortfall and the fix. When
+ * the bounty has claimWithPermit and the token supports EIP-2612, the
+ * approval is a signed `permit` instead (see claimCall).
+ */
+async function prepareWorkerBond(pub, tx, session, bountyAddress, { wrap = false, approve = true, permit = true } = {}) {
+  const { token, bond } = await expectedWorkerBond(pub, bountyAddress);
+  const sym = tokenSymbolByAddress(token);
+  const decimals = TOKENS[sym]?.decimals ?? 18;
+  const fmt = (v) => formatUnits(v, decimals);
+  const result = { ok: true, token: sym, bond: fmt(bond), wrapTxHash: null, approveTxHash: null, permit: null };
+  if (bond === 0n) return result;
+
+  log(`Worker bond: ${fmt(bond)} ${sym}`);
+  const balance = await pub.readContract({ address: token, abi: erc20Abi, functionName: 'balanceOf', args: [session.address] });
+
+  if (balance < bond) {
+    const shortfall = bond - balance;
+    const isWeth = !!TOKENS.WETH && token.toLowerCase() === TOKENS.WETH.address.toLowerCase();
+    const ethBalance = isWeth ? await pub.getBalance({ address: session.address }) : 0n;
+    // Only ETH beyond the gas for the wrap, approve and claim can go into the bond
+    const gasReserve = isWeth ? BOND_FLOW_GAS * (await pub.estimateFeesPerGas()).maxFeePerGas : 0n;
+    const canWrap = isWeth && ethBalance - gasReserve >= shortfall;
+
+    if (canWrap && wrap) {
+      log(`Wrapping ${formatUnits(shortfall, 18)} ETH to cover the bond...`);
+      ({ hash: result.wrapTxHash } = await tx.send({
+        label: 'Wrap',
+        address: TOKENS.WETH.address,
+        abi: wethAbi,
+        functionName: 'deposit',
+        value: shortfall,
+        movements: async () => [{ token: 'ETH', amount: formatUnits(shortfall, 18), from: session.address, to: 'WETH' }],
+      }));
+    } else {
+      const failure = {
+        ok: false,
+        error: `Insufficient ${sym} for worker bond: have ${fmt(balance)}, need ${fmt(bond)} (short ${fmt(shortfall)})`,
+        token: sym,
+        required: fmt(bond),
+        balance: fmt(balance),
+        shortfall: fmt(shortfall),
+      };
+      if (canWrap) {
+        failure.offer = { wrap: formatUnits(shortfall, 18) };
+        failure.suggestion = `Your wallet holds ${formatUnits(ethBalance, 18)} ETH. Re-run with --wrap to wrap the missing ${formatUnits(shortfall, 18)} ETH into WETH.`;
+      } else {
+        failure.suggestion = `Acquire at least ${fmt(shortfall)} more ${sym} on Base, then claim again.`;
+      }
+      return failure;
+    }
   }
 
-  const skillArray = skills.split(',').map(s => s.trim());
+  // A signed permit replaces the approve transaction where token and bounty allow it
+  const domain = approve && permit && !tx.dryRun ? await permitRoute(pub, token, bountyAddress, CLAIM_WITH_PERMIT) : null;
+  if (domain) {
+    log(`Signing ${sym} permit for the bond...`);
+    result.permit = await signPermit(pub, tx, domain, { owner: session.address, spender: bountyAddress, value: bond });
+  } else if (approve) {
+    result.approveTxHash = await ensureAllowance(pub, tx, {
+      token,
+      owner: session.address,
+      spender: bountyAddress,
+      amount: bond,
+    });
+  }
+  return result;
+}
 
-  const agentData = {
-    type: 'AgentRegistration',
-    name,
-    description: bio || '',
-    image: '',
-    services: [
-      { type: 'agentWallet', endpoint: `eip155:8453:${session.address}` },
-    ],
-    skills: skillArray,
-    x402Support: true,
-    active: true,
-    registrations: [],
-  };
+/** claim() or claimWithPermit(), depending on how prepareWorkerBond covered the bond */
+function claimCall(agentId, bondInfo) {
+  const p = bondInfo.permit;
+  return p
+    ? { functionName: 'claimWithPermit', args: [agentId, p.deadline, p.v, p.r, p.s] }
+    : { functionName: 'claim', args: [agentId] };
+}
 
-  const agentURI = toDataURI(agentData);
-  const wallet = getWalletClient(session);
-  const pub = getPublicClient();
+// ─── Task Specs ─────────────────────────────────────────────────────────────
+//
+// A bounty's taskURI is a data URI. Free-text posts carry { summary }; posts
+// made with --task-file carry a versioned spec (references/task-spec.md) and
+// still set summary to the title so older readers show something sensible.
 
-  log('Registering agent on-chain...');
-  const hash = await wallet.writeContract({
-    address: CONTRACTS.IDENTITY_REGISTRY,
-    abi: identityAbi,
-    functionName: 'register',
-    args: [agentURI],
-  });
+const TASK_SPEC_SCHEMA = 'clara-task/v1';
+const DELIVERABLE_TYPES = ['code', 'pull-request', 'document', 'design', 'data', 'url', 'other'];
+const TASK_SPEC_FIELDS = ['schema', 'title', 'description', 'acceptanceCriteria', 'deliverableType', 'references', 'attachments', 'contact'];
 
-  log(`Tx: ${hash}`);
-  log('Waiting for confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash });
+function isUrl(str) {
+  return typeof str === 'string' && /^(https?|ipfs|ar):\/\/\S+$/.test(str);
+}
 
-  let agentId = null;
-  for (const eventLog of receipt.logs) {
-    try {
-      const decoded = decodeEventLog({
-        abi: identityAbi,
-        data: eventLog.data,
-        topics: eventLog.topics,
-      });
-      if (decoded.eventName === 'Register') {
-        agentId = decoded.args.agentId.toString();
-      } else if (!agentId && decoded.eventName === 'Transfer' &&
-                 decoded.args.from === '0x0000000000000000000000000000000000000000') {
-        // Fallback: ERC-721 mint Transfer event carries the tokenId
-        agentId = decoded.args.tokenId.toString();
-      }
-    } catch { /* not our event */ }
+/** Throw listing every problem with a task spec; returns the spec normalised */
+function validateTaskSpec(spec) {
+  const problems = [];
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('Task spec must be a JSON object');
+  if (spec.schema !== undefined && spec.schema !== TASK_SPEC_SCHEMA) problems.push(`schema must be "${TASK_SPEC_SCHEMA}"`);
+  const unknown = Object.keys(spec).filter(k => !TASK_SPEC_FIELDS.includes(k));
+  if (unknown.length > 0) problems.push(`unknown field(s): ${unknown.join(', ')}`);
+
+  if (typeof spec.title !== 'string' || !spec.title.trim()) problems.push('title is required');
+  else if (spec.title.length > 120) problems.push('title must be at most 120 characters');
+  if (typeof spec.description !== 'string' || !spec.description.trim()) problems.push('description is required');
+  if (!Array.isArray(spec.acceptanceCriteria) || spec.acceptanceCriteria.length === 0 ||
+      !spec.acceptanceCriteria.every(c => typeof c === 'string' && c.trim())) {
+    problems.push('acceptanceCriteria must be a non-empty list of strings');
   }
-
-  // Persist agentId in session for future lookups (avoids RPC log scanning limits)
-  if (agentId) {
-    session.agentId = parseInt(agentId);
-    saveSession(session);
+  if (!DELIVERABLE_TYPES.includes(spec.deliverableType)) {
+    problems.push(`deliverableType must be one of: ${DELIVERABLE_TYPES.join(', ')}`);
   }
-
-  // Upload profile to proxy for public discoverability
-  if (agentId) {
-    try {
-      await fetch(`${PROXY_URL}/agents/${agentId}.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Clara-Address': session.address,
-        },
-        body: JSON.stringify({ ...agentData, agentId, address: session.address }),
-      });
-    } catch { /* optional, non-blocking */ }
+  const references = spec.references ?? [];
+  if (!Array.isArray(references) || !references.every(r => isUrl(r) || (isUrl(r?.url) && (r.label === undefined || typeof r.label === 'string')))) {
+    problems.push('references must be a list of URLs or { url, label }');
+  }
+  const attachments = spec.attachments ?? [];
+  if (!Array.isArray(attachments) || !attachments.every(a => typeof a?.name === 'string' && a.name && isUrl(a.uri) &&
+      (a.hash === undefined || /^0x[0-9a-fA-F]{64}$/.test(a.hash)))) {
+    problems.push('attachments must be a list of { name, uri, hash? } (hash: 0x-prefixed 32 bytes)');
+  }
+  if (spec.contact !== undefined && (typeof spec.contact !== 'string' || !spec.contact.trim())) {
+    problems.push('contact must be a non-empty string');
   }
+  if (problems.length > 0) throw new Error(`Invalid task spec: ${problems.join('; ')}`);
 
-  output({
-    ok: true,
-    agentId,
-    txHash: hash,
-    blockNumber: receipt.blockNumber.toString(),
-    name,
-    skills: skillArray,
-  });
+  return {
+    schema: TASK_SPEC_SCHEMA,
+    title: spec.title.trim(),
+    description: spec.description,
+    acceptanceCriteria: spec.acceptanceCriteria,
+    deliverableType: spec.deliverableType,
+    references: references.map(r => (typeof r === 'string' ? { url: r } : r)),
+    attachments,
+    contact: spec.contact ?? null,
+  };
 }
 
-async function cmdBrowse(args) {
-  const pub = getPublicClient();
+function loadTaskSpec(file) {
+  let spec;
+  try {
+    spec = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read task file ${file}: ${err.message}`);
+  }
+  return validateTaskSpec(spec);
+}
+
+/** Decode a taskURI into { summary, spec }; spec is null for free-text tasks */
+function readTask(taskURI) {
+  const data = payloadOf(taskURI);
+  if (!data) return { summary: taskURI || null, spec: null };
+  if (data.schema !== TASK_SPEC_SCHEMA) return { summary: data.summary ?? null, spec: null };
+  const spec = Object.fromEntries(TASK_SPEC_FIELDS.map(k => [k, data[k] ?? null]));
+  return { summary: data.summary ?? data.title ?? null, spec };
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────────
+//
+// Task and proof payloads go to IPFS when a backend is configured: a Kubo
+// node's HTTP API (CLARA_IPFS_API) or a plain directory of <cid> files
+// (CLARA_IPFS_DIR, for tests and air-gapped setups). Payloads are stored as a
+// single raw block, so the CID is sha2-256 of the bytes and is computed and
+// checked locally. Without a backend, payloads stay inline as data: URIs.
+//
+// Fetched content is verified against its CID and cached under
+// ~/.openclaw/credentials/clara/ipfs/, which lets browse render ipfs:// tasks
+// without going to the network.
+
+const MAX_PAYLOAD_BYTES = 1024 * 1024;   // Kubo's largest chunk: one raw block
+const IPFS_CACHE_DIR = join(SESSION_DIR, 'ipfs');
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32Encode(bytes) {
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of str) {
+    const i = BASE32_ALPHABET.indexOf(ch);
+    if (i === -1) return null;
+    value = (value << 5) | i;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest();
+}
+
+/** CIDv1, raw codec, sha2-256 multihash, base32 ("bafkrei...") */
+function rawCid(bytes) {
+  return `b${base32Encode(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), sha256(bytes)]))}`;
+}
+
+/** The sha2-256 digest inside a raw CIDv1, or null for CIDs we cannot check locally */
+function cidDigest(cid) {
+  if (!cid.startsWith('b')) return null;
+  const bytes = base32Decode(cid.slice(1));
+  if (!bytes || bytes.length !== 36) return null;
+  if (bytes[0] !== 0x01 || bytes[1] !== 0x55 || bytes[2] !== 0x12 || bytes[3] !== 0x20) return null;
+  return bytes.subarray(4);
+}
+
+function cidFromURI(uri) {
+  const match = String(uri).match(/^ipfs:\/\/(?:ipfs\/)?([a-zA-Z0-9]+)$/);
+  return match ? match[1] : null;
+}
+
+function storageBackend() {
+  if (IPFS_DIR) return 'dir';
+  if (IPFS_API) return 'kubo';
+  return null;
+}
+
+function cacheContent(cid, bytes) {
+  try {
+    mkdirSync(IPFS_CACHE_DIR, { recursive: true, mode: 0o700 });
+    writeFileSync(join(IPFS_CACHE_DIR, cid), bytes);
+  } catch { /* cache is best-effort */ }
+}
+
+/** Upload bytes to the configured backend; returns ipfs://<cid> */
+async function putContent(bytes) {
+  if (bytes.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Payload is ${bytes.length} bytes; the limit is ${MAX_PAYLOAD_BYTES}. Host large files elsewhere and link them.`);
+  }
+  const cid = rawCid(bytes);
+  const backend = storageBackend();
+  if (backend === 'dir') {
+    mkdirSync(IPFS_DIR, { recursive: true });
+    writeFileSync(join(IPFS_DIR, cid), bytes);
+  } else if (backend === 'kubo') {
+    const form = new FormData();
+    form.append('file', new Blob([bytes]), 'payload');
+    const res = await fetch(`${IPFS_API}/api/v0/add?cid-version=1&raw-leaves=true&chunker=size-${MAX_PAYLOAD_BYTES}&pin=true`, {
+      method: 'POST',
+      body: form,
+      signal: AbortSignal.timeout(30_000),
+    }).catch((err) => {
+      throw new Error(`IPFS add failed: ${err.message}`);
+    });
+    if (!res.ok) throw new Error(`IPFS add failed: ${res.status} ${firstLine(await res.text())}`);
+    const added = JSON.parse((await res.text()).trim().split('\n').pop());
+    if (added.Hash !== cid) throw new Error(`IPFS node returned ${added.Hash}, expected ${cid}`);
+  } else {
+    throw new Error('No IPFS backend configured (set CLARA_IPFS_API or CLARA_IPFS_DIR)');
+  }
+  cacheContent(cid, bytes);
+  return `ipfs://${cid}`;
+}
+
+/**
+ * Store a JSON payload: on IPFS when a backend is configured (unless inline),
+ * else as a data URI. A dry run only computes the URI.
+ */
+async function storePayload(obj, { inline = false, dryRun = false } = {}) {
+  if (inline || !storageBackend()) return toDataURI(obj);
+  const bytes = Buffer.from(JSON.stringify(obj));
+  if (dryRun) return `ipfs://${rawCid(bytes)}`;
+  return putContent(bytes);
+}
+
+/**
+ * Fetch ipfs://<cid> from the cache, the backend, then the gateway; only
+ * content matching the CID is returned. CIDs other than raw sha2-256 cannot
+ * be checked locally and are refused unless `allowUnverified` is set, in
+ * which case their content comes back with `verified: null`.
+ */
+async function getContent(uri, { allowUnverified = false } = {}) {
+  const cid = cidFromURI(uri);
+  if (!cid) throw new Error(`Not an ipfs:// URI: ${uri}`);
+  const digest = cidDigest(cid);
+  if (!digest && !allowUnverified) {
+    throw new Error(`${cid} is not a raw sha2-256 CID, so its content cannot be checked. Re-run with --allow-unverified to read it anyway`);
+  }
+  const sources = [
+    ['cache', async () => readFileSync(join(IPFS_CACHE_DIR, cid))],
+    IPFS_DIR && ['dir', async () => readFileSync(join(IPFS_DIR, cid))],
+    IPFS_API && ['kubo', async () => {
+      // Kubo searches the network for content it lacks, for as long as the request stays open
+      const res = await fetch(`${IPFS_API}/api/v0/cat?arg=${cid}`, { method: 'POST', signal: AbortSignal.timeout(15_000) });
+      if (!res.ok) throw new Error(`${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    }],
+    ['gateway', async () => {
+      const res = await fetch(`${IPFS_GATEWAY}/ipfs/${cid}`, { signal: AbortSignal.timeout(15_000) });
+      if (!res.ok) throw new Error(`${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    }],
+  ].filter(Boolean);
+
+  let mismatch = null;
+  for (const [source, read] of sources) {
+    let bytes;
+    try { bytes = await read(); } catch { continue; }
+    const verified = digest ? sha256(bytes).equals(digest) : null;
+    if (verified === false) {
+      mismatch = source;
+      continue;
+    }
+    if (verified && source !== 'cache') cacheContent(cid, bytes);
+    return { bytes, verified, source };
+  }
+  throw new Error(mismatch
+    ? `Content from ${mismatch} does not match ${cid}`
+    : `Could not fetch ${cid} from ${sources.map(([s]) => s).join(', ')}`);
+}
+
+/** Decode a stored payload URI without network access: data: URIs and cached ipfs:// content */
+function payloadOf(uri) {
+  const inline = parseDataURI(uri || '');
+  if (inline) return inline;
+  const cid = cidFromURI(uri || '');
+  if (!cid) return null;
+  try {
+    const bytes = readFileSync(join(IPFS_CACHE_DIR, cid));
+    const digest = cidDigest(cid);
+    if (!digest || !sha256(bytes).equals(digest)) return null;
+    return JSON.parse(bytes.toString('utf-8'));
+  } catch { return null; }
+}
+
+/** Pull ipfs:// payloads into the cache so payloadOf can decode them */
+async function prefetchPayloads(uris) {
+  const pending = [...new Set(uris)].filter(u => cidFromURI(u || '') && payloadOf(u) === null);
+  await Promise.all(pending.map(u => getContent(u).catch(() => null)));
+}
+
+/**
+ * Read a payload URI for display, with how it was checked:
+ * data: URIs are on-chain as-is; ipfs:// content is checked against its CID.
+ * Content of a CID that cannot be checked is only read with `allowUnverified`,
+ * and then carries `verified: null` and a warning.
+ */
+async function readPayload(uri, { allowUnverified = false } = {}) {
+  if (!uri) return { data: null, integrity: null };
+  const inline = parseDataURI(uri);
+  if (inline) return { data: inline, integrity: { storage: 'inline', verified: true } };
+  const cid = cidFromURI(uri);
+  if (!cid) return { data: null, integrity: { storage: 'url', verified: null } };
+  const checkable = cidDigest(cid) !== null;
+  try {
+    const { bytes, verified, source } = await getContent(uri, { allowUnverified });
+    let data;
+    try { data = JSON.parse(bytes.toString('utf-8')); } catch { data = bytes.toString('utf-8'); }
+    const integrity = { storage: 'ipfs', verified, source };
+    if (!checkable) integrity.warning = `Unverified: ${cid} cannot be checked against its content`;
+    return { data, integrity };
+  } catch (err) {
+    return { data: null, integrity: { storage: 'ipfs', verified: checkable ? false : null, error: err.message } };
+  }
+}
+
+/** readPayload for a proof, re-hashing a hashed proof URL to see whether it still serves the same content */
+async function readProof(uri, options) {
+  const proof = await readPayload(uri, options);
+  if (proof.data?.url && proof.data.contentHash) {
+    try {
+      const now = await hashUrl(proof.data.url);
+      proof.integrity.url = now.contentHash === proof.data.contentHash ? 'unchanged' : 'changed';
+      proof.integrity.currentHash = now.contentHash;
+    } catch (err) {
+      proof.integrity.url = 'unreachable';
+      proof.integrity.urlError = err.message;
+    }
+  }
+  return proof;
+}
+
+/** sha2-256 of whatever a URL serves right now */
+async function hashUrl(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(30_000) });
+  if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  return { contentHash: `0x${sha256(bytes).toString('hex')}`, size: bytes.length };
+}
+
+// ─── Proof Manifests ────────────────────────────────────────────────────────
+//
+// `submit --file/--dir` publishes a manifest instead of the files: each
+// file's path, size and sha256, sorted by path, plus a root hash over them.
+// The deliverable itself travels however the parties agree; `verify-proof`
+// rebuilds the manifest from the received copy and compares.
+
+const MANIFEST_SCHEMA = 'clara-manifest/v1';
+
+function hashFile(path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(path)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(`0x${hash.digest('hex')}`));
+  });
+}
+
+/** Regular files under dir, as forward-slash paths relative to it; symlinks are skipped */
+function listFiles(dir) {
+  const files = [];
+  const skipped = [];
+  const walk = (current) => {
+    for (const entry of readdirSync(current, { withFileTypes: true })) {
+      const full = join(current, entry.name);
+      const rel = relative(dir, full).split(sep).join('/');
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) files.push({ full, path: rel });
+      else skipped.push(rel);
+    }
+  };
+  walk(dir);
+  return { files: files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)), skipped };
+}
+
+/** sha256 over "<sha256> <size> <path>\n" for every file, in path order */
+function manifestRoot(files) {
+  return `0x${sha256(Buffer.from(files.map(f => `${f.sha256} ${f.size} ${f.path}\n`).join(''))).toString('hex')}`;
+}
+
+/** Build the manifest for --file <path> or --dir <path> */
+async function buildManifest({ file, dir }) {
+  let entries;
+  let skipped = [];
+  if (file) {
+    if (!existsSync(file) || !lstatSync(file).isFile()) throw new Error(`Not a file: ${file}`);
+    entries = [{ full: file, path: basename(file) }];
+  } else {
+    if (!existsSync(dir) || !lstatSync(dir).isDirectory()) throw new Error(`Not a directory: ${dir}`);
+    ({ files: entries, skipped } = listFiles(dir));
+    if (entries.length === 0) throw new Error(`No files in ${dir}`);
+  }
+  const files = [];
+  for (const e of entries) {
+    files.push({ path: e.path, size: lstatSync(e.full).size, sha256: await hashFile(e.full) });
+  }
+  return { manifest: { schema: MANIFEST_SCHEMA, files, rootHash: manifestRoot(files) }, skipped };
+}
+
+/** Compare a submitted manifest with one built from a local copy */
+function compareManifests(submitted, local) {
+  const theirs = new Map(submitted.files.map(f => [f.path, f]));
+  const ours = new Map(local.files.map(f => [f.path, f]));
+  const missing = [...theirs.keys()].filter(p => !ours.has(p));
+  const extra = [...ours.keys()].filter(p => !theirs.has(p));
+  const mismatched = [...theirs.values()]
+    .filter(f => ours.has(f.path) && (ours.get(f.path).sha256 !== f.sha256 || ours.get(f.path).size !== f.size))
+    .map(f => ({ path: f.path, expected: f.sha256, actual: ours.get(f.path).sha256 }));
+  return {
+    match: missing.length === 0 && extra.length === 0 && mismatched.length === 0 && submitted.rootHash === local.rootHash,
+    missing,
+    extra,
+    mismatched,
+  };
+}
+
+// ─── Event Index ────────────────────────────────────────────────────────────
+//
+// Local, append-only copy of marketplace events so reads don't rescan the
+// chain. `sync` advances `lastSyncedBlock` chunk by chunk, halving the chunk
+// whenever the RPC refuses a range as too large; chunks that still fail
+// are remembered in `failedRanges` and retried on the next sync. Bounty state
+// is always rebuilt by replaying that bounty's events in block order, so
+// backfilled (out-of-order) events are handled the same as fresh ones.
+
+const INDEX_FILE = networkPath('index.json');
+const INDEX_VERSION = 2;
+const SYNC_CHUNK = 5000n;
+const SYNC_MIN_CHUNK = 10n;
+const SYNC_SAVE_EVERY = 20;       // persist progress every N chunks
+const LIFECYCLE_ADDRESS_BATCH = 200;
+const LIFECYCLE_EVENTS = ['BountyClaimed', 'WorkSubmitted', 'BountyApproved', 'BountyRejected', 'BountyCancelled'];
+
+function emptyIndex() {
+  return {
+    version: INDEX_VERSION,
+    chainId: CHAIN.id,
+    factory: CONTRACTS.BOUNTY_FACTORY,
+    lastSyncedBlock: null,
+    failedRanges: [],
+    bounties: {},
+    agents: {},
+    feedback: [],
+    revokedFeedback: [],
+    events: [],
+  };
+}
+
+function loadIndex() {
+  if (!existsSync(INDEX_FILE)) return emptyIndex();
+  try {
+    const index = JSON.parse(readFileSync(INDEX_FILE, 'utf-8'));
+    // Different schema or deployment: start over rather than mix data
+    if (index.version !== INDEX_VERSION || index.chainId !== CHAIN.id ||
+        index.factory?.toLowerCase() !== CONTRACTS.BOUNTY_FACTORY.toLowerCase()) {
+      return emptyIndex();
+    }
+    // Expiry needs no event, so bounties stored as Open may have expired since
+    for (const b of Object.values(index.bounties)) deriveExpiry(b);
+    return index;
+  } catch { return emptyIndex(); }
+}
+
+function saveIndex(index) {
+  mkdirSync(SESSION_DIR, { recursive: true });
+  const tmp = `${INDEX_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(index, (_k, v) => typeof v === 'bigint' ? v.toString() : v));
+  renameSync(tmp, INDEX_FILE);
+}
+
+function eventKey(e) {
+  return `${e.txHash}:${e.logIndex}`;
+}
+
+/** Normalise a decoded viem log into the JSON shape stored in the index */
+function toIndexedEvent(l) {
+  const args = {};
+  for (const [k, v] of Object.entries(l.args)) args[k] = typeof v === 'bigint' ? v.toString() : v;
+  return {
+    event: l.eventName,
+    address: l.address,
+    blockNumber: l.blockNumber.toString(),
+    logIndex: l.logIndex,
+    txHash: l.transactionHash,
+    args,
+  };
+}
+
+function compareEvents(a, b) {
+  const diff = BigInt(a.blockNumber) - BigInt(b.blockNumber);
+  if (diff !== 0n) return diff < 0n ? -1 : 1;
+  return a.logIndex - b.logIndex;
+}
+
+/** An Open bounty past its deadline reads as Expired (6), as the contract's status() does */
+function deriveExpiry(bounty, now = Math.floor(Date.now() / 1000)) {
+  if (bounty.status === 0 && now > Number(bounty.deadline)) bounty.status = 6;
+  return bounty;
+}
+
+/** Replay a bounty's events (oldest first) into its current state */
+function rebuildBounty(index, addrLower) {
+  const events = index.events
+    .filter(e => e.bounty === addrLower)
+    .sort(compareEvents);
+
+  let bounty = null;
+  for (const e of events) {
+    const a = e.args;
+    if (e.event === 'BountyCreated') {
+      bounty = {
+        address: a.bountyAddress,
+        poster: a.poster,
+        token: a.token,
+        amount: a.amount,
+        posterBond: a.posterBond,
+        bondRate: a.bondRate,
+        deadline: a.deadline,
+        taskURI: a.taskURI,
+        skillTags: a.skillTags,
+        createdBlock: e.blockNumber,
+        createdTx: e.txHash,
+        status: 0,
+        claimer: null,
+        claimerAgentId: null,
+        proofURI: null,
+        rejectionCount: 0,
+        updatedBlock: e.blockNumber,
+      };
+      continue;
+    }
+    if (!bounty) continue;
+    if (e.event === 'BountyClaimed') {
+      bounty.status = 1;
+      bounty.claimer = a.claimer;
+      bounty.claimerAgentId = a.agentId;
+    } else if (e.event === 'WorkSubmitted') {
+      bounty.status = 2;
+      bounty.proofURI = a.proofURI;
+    } else if (e.event === 'BountyApproved') {
+      bounty.status = 3;
+    } else if (e.event === 'BountyRejected') {
+      // First rejection hands the work back to the claimer; the second is final
+      bounty.rejectionCount = Number(a.rejectionCount);
+      bounty.status = bounty.rejectionCount >= 2 ? 4 : 1;
+    } else if (e.event === 'BountyCancelled') {
+      bounty.status = 5;
+    }
+    bounty.updatedBlock = e.blockNumber;
+  }
+
+  if (bounty) index.bounties[addrLower] = deriveExpiry(bounty);
+}
+
+function feedbackKey(agentId, client, feedbackIndex) {
+  return `${agentId}:${client.toLowerCase()}:${feedbackIndex}`;
+}
+
+/** Merge fetched logs into the index; returns the events that were new */
+function applyLogs(index, logs) {
+  const seen = new Set([...index.events, ...index.feedback].map(eventKey));
+  const added = [];
+  const touched = new Set();
+
+  for (const l of logs) {
+    const e = toIndexedEvent(l);
+    if (seen.has(eventKey(e))) continue;
+    seen.add(eventKey(e));
+
+    if (e.event === 'Register') {
+      index.agents[e.args.agentId] = {
+        agentId: e.args.agentId,
+        owner: e.args.owner,
+        agentURI: e.args.agentURI,
+        blockNumber: e.blockNumber,
+      };
+      continue;
+    }
+    if (e.event === 'NewFeedback') {
+      const a = e.args;
+      index.feedback.push({
+        agentId: a.agentId,
+        client: a.clientAddress,
+        feedbackIndex: a.feedbackIndex,
+        value: a.value,
+        valueDecimals: Number(a.valueDecimals),
+        tag1: a.tag1,
+        tag2: a.tag2,
+        endpoint: a.endpoint,
+        feedbackURI: a.feedbackURI,
+        feedbackHash: a.feedbackHash,
+        blockNumber: e.blockNumber,
+        logIndex: e.logIndex,
+        txHash: e.txHash,
+      });
+      continue;
+    }
+    if (e.event === 'FeedbackRevoked') {
+      const key = feedbackKey(e.args.agentId, e.args.clientAddress, e.args.feedbackIndex);
+      if (!index.revokedFeedback.includes(key)) index.revokedFeedback.push(key);
+      continue;
+    }
+
+    e.bounty = (e.event === 'BountyCreated' ? e.args.bountyAddress : e.address).toLowerCase();
+    index.events.push(e);
+    added.push(e);
+    touched.add(e.bounty);
+  }
+
+  for (const addr of touched) rebuildBounty(index, addr);
+  return added;
+}
+
+async function fetchLifecycleLogs(pub, addresses, fromBlock, toBlock) {
+  const logs = [];
+  for (let i = 0; i < addresses.length; i += LIFECYCLE_ADDRESS_BATCH) {
+    const batch = await pub.getLogs({
+      address: addresses.slice(i, i + LIFECYCLE_ADDRESS_BATCH),
+      events: bountyAbi.filter(x => x.type === 'event' && LIFECYCLE_EVENTS.includes(x.name)),
+      fromBlock,
+      toBlock,
+    });
+    logs.push(...batch);
+  }
+  return logs;
+}
+
+/**
+ * Whether an RPC refused a getLogs range for its size (block span, result
+ * count or response size) rather than failing outright. Providers word this
+ * differently; -32005 is the standard "limit exceeded" code.
+ */
+function isRangeLimitError(err) {
+  if (err?.walk?.(e => e.code === -32005 || e.status === 413)) return true;
+  const text = `${err?.details || ''} ${err?.shortMessage || ''} ${err?.message || ''}`;
+  return /block range|range (is )?too (large|wide|big)|exceed(s|ed)?\b.*\b(range|limit|results)|more than \d+ (results|logs)|too many (results|logs)|response size|query returned more/i.test(text);
+}
+
+/**
+ * Index one block range. Throws on RPC failure so the caller can record the
+ * range for backfill. Returns { added, created } where `created` lists the
+ * bounty addresses first seen in this range.
+ */
+async function syncRange(pub, index, fromBlock, toBlock) {
+  const [created, registered, feedback] = await Promise.all([
+    pub.getContractEvents({
+      address: CONTRACTS.BOUNTY_FACTORY,
+      abi: factoryAbi,
+      eventName: 'BountyCreated',
+      fromBlock,
+      toBlock,
+    }),
+    pub.getContractEvents({
+      address: CONTRACTS.IDENTITY_REGISTRY,
+      abi: identityAbi,
+      eventName: 'Register',
+      fromBlock,
+      toBlock,
+    }),
+    pub.getLogs({
+      address: CONTRACTS.REPUTATION_REGISTRY,
+      events: reputationAbi.filter(x => x.type === 'event'),
+      fromBlock,
+      toBlock,
+    }),
+  ]);
+
+  const fresh = created
+    .map(l => l.args.bountyAddress.toLowerCase())
+    .filter(addr => !index.bounties[addr]);
+  const added = applyLogs(index, [...created, ...registered]);
+  applyLogs(index, feedback);
+
+  const known = Object.values(index.bounties).map(b => b.address);
+  if (known.length > 0) {
+    added.push(...applyLogs(index, await fetchLifecycleLogs(pub, known, fromBlock, toBlock)));
+  }
+  return { added, created: fresh };
+}
+
+/**
+ * Bring the index up to date: retry previously failed ranges, then scan
+ * forward from the last synced block to the chain head.
+ */
+async function syncIndex(pub, { reset = false } = {}) {
+  const index = reset ? emptyIndex() : loadIndex();
   const latestBlock = await pub.getBlockNumber();
+  const added = [];
+  const failed = [];
+
+  // Shrinks when the RPC refuses a range as too large, and stays shrunk for the rest of this run
+  let chunk = SYNC_CHUNK;
+
+  const scan = async (from, to) => {
+    try {
+      const result = await syncRange(pub, index, from, to);
+      added.push(...result.added);
+      return result;
+    } catch (err) {
+      if (isRangeLimitError(err) && to - from + 1n > SYNC_MIN_CHUNK) {
+        const half = (to - from + 1n) / 2n;
+        if (half < chunk) chunk = half < SYNC_MIN_CHUNK ? SYNC_MIN_CHUNK : half;
+        log(`Blocks ${from}-${to} refused by the RPC as too large, retrying in chunks of ${chunk}`);
+        const created = [];
+        for (let f = from; f <= to; f += chunk) {
+          const result = await scan(f, f + chunk - 1n > to ? to : f + chunk - 1n);
+          if (result) created.push(...result.created);
+        }
+        return { created };
+      }
+      log(`Chunk ${from}-${to} failed (${err.shortMessage || err.message}), will retry on next sync`);
+      failed.push({ from: from.toString(), to: to.toString() });
+      return null;
+    }
+  };
+
+  // 1. Backfill ranges that failed on an earlier run
+  const backfill = index.failedRanges;
+  index.failedRanges = [];
+  const synced = index.lastSyncedBlock !== null ? BigInt(index.lastSyncedBlock) : null;
+  const backfillStart = added.length;
+  for (const range of backfill) {
+    const from = BigInt(range.from);
+    const to = BigInt(range.to);
+    log(`Backfilling blocks ${from}-${to}...`);
+    const result = await scan(from, to);
+    // Bounties discovered late missed their lifecycle events in later chunks
+    if (result?.created.length && synced !== null && to < synced) {
+      const addresses = result.created.map(a => index.bounties[a].address);
+      for (let f = to + 1n; f <= synced; f += chunk) {
+        const t = f + chunk - 1n > synced ? synced : f + chunk - 1n;
+        try {
+          added.push(...applyLogs(index, await fetchLifecycleLogs(pub, addresses, f, t)));
+        } catch (err) {
+          log(`Chunk ${f}-${t} failed (${err.shortMessage || err.message}), will retry on next sync`);
+          failed.push({ from: f.toString(), to: t.toString() });
+        }
+      }
+    }
+  }
+
+  const backfilled = added.slice(backfillStart);
+
+  // 2. Scan forward to the chain head
+  const fromBlock = synced !== null ? synced + 1n : BOUNTY_FIRST_BLOCK;
+  if (fromBlock <= latestBlock) {
+    log(`Syncing blocks ${fromBlock}-${latestBlock}...`);
+  }
+  let chunks = 0;
+  for (let from = fromBlock; from <= latestBlock;) {
+    const to = from + chunk - 1n > latestBlock ? latestBlock : from + chunk - 1n;
+    await scan(from, to);
+    index.lastSyncedBlock = to.toString();
+    from = to + 1n;
+    if (++chunks % SYNC_SAVE_EVERY === 0) {
+      index.failedRanges = [...failed];
+      saveIndex(index);
+    }
+  }
+  if (index.lastSyncedBlock === null) index.lastSyncedBlock = latestBlock.toString();
+
+  index.failedRanges = failed;
+  index.syncedAt = new Date().toISOString();
+  saveIndex(index);
+
+  return { index, added, backfilled, failedRanges: failed, latestBlock };
+}
+
+/** Most recent agent ID registered to `address` in the index, or null */
+function findIndexedAgentId(index, address) {
+  const lower = address.toLowerCase();
+  let found = null;
+  for (const agent of Object.values(index.agents)) {
+    if (agent.owner.toLowerCase() !== lower) continue;
+    if (!found || BigInt(agent.blockNumber) >= BigInt(found.blockNumber)) found = agent;
+  }
+  return found ? BigInt(found.agentId) : null;
+}
+
+/**
+ * Sync unless the caller passed --no-sync; falls back to the stored index on
+ * RPC errors. With `catchUpOnly`, an index that was never synced stays empty
+ * rather than scanning the whole history, for commands that only use it for
+ * extras (inspect's timeline).
+ */
+async function indexForRead(pub, args, { catchUpOnly = false } = {}) {
+  if (args['no-sync']) return loadIndex();
+  if (catchUpOnly) {
+    const stored = loadIndex();
+    if (stored.lastSyncedBlock === null) {
+      log('Local index is empty; run "sync" once to include event history');
+      return stored;
+    }
+  }
+  try {
+    const { index, failedRanges } = await syncIndex(pub);
+    if (failedRanges.length > 0) {
+      const ranges = failedRanges.map(r => `${r.from}-${r.to}`).join(', ');
+      log(`Warning: ${failedRanges.length} block range(s) could not be fetched (${ranges}); results may be incomplete until the next sync`);
+    }
+    return index;
+  } catch (err) {
+    log(`Sync failed (${err.shortMessage || err.message}), using local index`);
+    return loadIndex();
+  }
+}
+
+/** task (the summary) for every bounty, plus the headline spec fields when it has one */
+function taskFields(taskURI) {
+  const { summary, spec } = readTask(taskURI);
+  const fields = { task: summary || taskURI };
+  if (spec) {
+    fields.title = spec.title;
+    fields.deliverableType = spec.deliverableType;
+    fields.acceptanceCriteria = spec.acceptanceCriteria;
+  }
+  return fields;
+}
+
+/** Format an indexed bounty for JSON output */
+function formatBounty(b) {
+  const tokenSym = tokenSymbolByAddress(b.token);
+  const tokenInfo = TOKENS[tokenSym] || { decimals: 18 };
+  return {
+    address: b.address,
+    poster: b.poster,
+    token: tokenSym,
+    amount: formatUnits(BigInt(b.amount), tokenInfo.decimals),
+    posterBond: formatUnits(BigInt(b.posterBond), tokenInfo.decimals),
+    deadline: new Date(Number(b.deadline) * 1000).toISOString(),
+    status: BOUNTY_STATUS[b.status] || `Unknown(${b.status})`,
+    statusCode: b.status,
+    claimer: b.claimer,
+    skills: b.skillTags,
+    ...taskFields(b.taskURI),
+  };
+}
+
+// ─── Transactions ───────────────────────────────────────────────────────────
+//
+// Every write goes through a runner created per command. Live, a step is
+// signed, sent and awaited, and recorded in the transaction journal. With
+// --dry-run the same steps are simulated (chained through eth_simulateV1 so
+// e.g. createBounty sees the approve before it) and gas-estimated; nothing is
+// signed or sent.
+//
+// The journal keeps one file per command invocation. Re-running a command
+// with --resume <id> replays it: steps that already landed are reused
+// instead of being sent again.
+
+const JOURNAL_DIR = networkPath('journal');
+const openJournals = new Set();
+
+function journalFile(id) {
+  return join(JOURNAL_DIR, `${id}.json`);
+}
+
+function loadJournal(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return loadStateFile(journalFile(id));
+}
+
+function saveJournal(journal) {
+  mkdirSync(JOURNAL_DIR, { recursive: true });
+  journal.updatedAt = new Date().toISOString();
+  writeFileSync(journalFile(journal.id), JSON.stringify(journal, null, 2));
+}
+
+function listJournals() {
+  if (!existsSync(JOURNAL_DIR)) return [];
+  return readdirSync(JOURNAL_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => loadStateFile(join(JOURNAL_DIR, f)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** Mark every journal opened by this process as finished (called from main) */
+function closeJournals(error = null) {
+  for (const journal of openJournals) {
+    const failed = journal.steps.some(st => st.status === 'failed' || st.status === 'reverted');
+    journal.status = error || failed ? 'failed' : 'completed';
+    if (error) journal.error = firstLine(error);
+    saveJournal(journal);
+  }
+  openJournals.clear();
+}
+
+/** Arguments worth replaying on --resume */
+function journalArgs(args) {
+  const kept = {};
+  for (const [k, v] of Object.entries(args)) {
+    if (k === 'resume' || k === 'dry-run' || k === '_command') continue;
+    kept[k] = v;
+  }
+  return kept;
+}
+
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 300;
+// Nodes only accept a replacement that raises both fees by at least 10%
+const REPLACEMENT_MIN_PERCENT = 110n;
+const REPLACEMENT_BUMP_PERCENT = 125n;
+
+function parseGweiArg(args, name) {
+  if (args[name] === undefined) return undefined;
+  const value = String(args[name]);
+  if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`--${name} is in gwei, e.g. --${name} 0.05 (got ${value})`);
+  return parseGwei(value);
+}
+
+/** EIP-1559 fees for a send: --max-fee/--priority-fee (gwei) over the RPC's estimate */
+function resolveFees(args, estimate) {
+  const maxFee = parseGweiArg(args, 'max-fee');
+  const priority = parseGweiArg(args, 'priority-fee') ?? estimate.maxPriorityFeePerGas;
+  // A raised priority fee alone keeps the estimate's base-fee headroom on top of it
+  const maxFeePerGas = maxFee ?? estimate.maxFeePerGas - estimate.maxPriorityFeePerGas + priority;
+  if (maxFeePerGas < priority) throw new Error('--max-fee must be at least --priority-fee');
+  return { maxFeePerGas, maxPriorityFeePerGas: priority };
+}
+
+function waitTimeoutMs(args) {
+  if (args['wait-timeout'] === undefined) return DEFAULT_WAIT_TIMEOUT_SECONDS * 1000;
+  const value = String(args['wait-timeout']);
+  if (!/^[1-9]\d*$/.test(value)) throw new Error(`--wait-timeout is a whole number of seconds, e.g. --wait-timeout 600 (got ${value})`);
+  return Number(value) * 1000;
+}
+
+/**
+ * Wait for a journaled transaction, bounded by a timeout. A replacement sent
+ * from elsewhere (tx speedup/cancel) is followed and reported via onReplaced.
+ */
+async function waitForStep(pub, hash, nonce, timeout, journal, onReplaced = () => {}) {
+  try {
+    return await pub.waitForTransactionReceipt({
+      hash,
+      timeout,
+      onReplaced: ({ transaction, reason }) => {
+        log(`${hash} was ${reason} by ${transaction.hash}`);
+        onReplaced(transaction.hash, reason);
+      },
+    });
+  } catch (err) {
+    if (err.name !== 'WaitForTransactionReceiptTimeoutError') throw err;
+    throw new Error(
+      `${hash} not confirmed after ${timeout / 1000}s and is still pending. ` +
+      `Raise its fees with "tx speedup --id ${journal.id} --nonce ${nonce}", ` +
+      `or drop it with "tx cancel --id ${journal.id} --nonce ${nonce}".`
+    );
+  }
+}
+
+function createTxRunner(session, args = {}) {
+  const dryRun = !!args['dry-run'];
+  const waitTimeout = waitTimeoutMs(args); // validated before anything is sent
+  const pub = getPublicClient();
+  let wallet = null; // unlocked on the first send, so keystore prompts only appear for real writes
+  const planned = [];
+  const report = [];
+  const occurrences = {};
+  let fees = null;
+  let journal = args.resume ? loadJournal(args.resume) : null;
+  if (journal) {
+    journal.status = 'running';
+    openJournals.add(journal);
+  }
+
+  function openJournal() {
+    if (journal) return journal;
+    const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    journal = {
+      id: `${stamp}-${randomBytes(3).toString('hex')}`,
+      command: args._command || null,
+      network: NETWORK.name,
+      args: journalArgs(args),
+      address: session.address,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      steps: [],
+    };
+    openJournals.add(journal);
+    saveJournal(journal);
+    log(`Journal: ${journal.id}`);
+    return journal;
+  }
+
+  function recordStep(key, fields) {
+    const entry = journal.steps.find(st => st.key === key);
+    if (entry) Object.assign(entry, fields);
+    else journal.steps.push({ key, ...fields });
+    saveJournal(journal);
+  }
+
+  /**
+   * Pick up a step a previous run started. Returns { result } when its
+   * transaction landed, { nonce } when it never reached the network and must
+   * be sent again at that nonce, or null when it needs a fresh send. A step is
+   * never sent at a new nonce while its journaled one may still be its own.
+   */
+  async function resumeStep(key, label) {
+    const previous = journal?.steps.find(st => st.key === key);
+    if (!previous || ['reverted', 'failed', 'cancelled'].includes(previous.status)) return null;
+
+    if (previous.hash) {
+      const receipt = await pub.getTransactionReceipt({ hash: previous.hash }).catch(() => null);
+      if (receipt) {
+        const status = receipt.status === 'success' ? 'confirmed' : 'reverted';
+        recordStep(key, { status, blockNumber: receipt.blockNumber.toString() });
+        if (status === 'reverted') return null;
+        log(`${label}: reusing ${previous.hash} from journal ${journal.id}`);
+        return { result: { hash: previous.hash, receipt, result: null, dryRun: false, ok: true } };
+      }
+    }
+
+    const confirmedNonce = await pub.getTransactionCount({ address: session.address, blockTag: 'latest' });
+    if (confirmedNonce > previous.nonce) {
+      throw new Error(
+        `${label}: nonce ${previous.nonce} was used by a transaction not in journal ${journal.id}. ` +
+        'Check the wallet\'s recent transactions before running the command again without --resume.'
+      );
+    }
+    if (previous.hash && await pub.getTransaction({ hash: previous.hash }).catch(() => null)) {
+      log(`${label}: ${previous.hash} from journal ${journal.id} is still pending, waiting for it`);
+      const result = await settleStep(key, label, previous.hash, previous.nonce);
+      return result.ok ? { result } : null;
+    }
+    if (!previous.hash) {
+      // The run stopped between signing and recording the hash; only the mempool can tell if it went out
+      const pendingNonce = await pub.getTransactionCount({ address: session.address, blockTag: 'pending' });
+      if (pendingNonce > previous.nonce) {
+        throw new Error(
+          `${label}: a transaction with nonce ${previous.nonce} is pending but journal ${journal.id} has no hash for it. ` +
+          'Wait for it to land and check the wallet\'s recent transactions before running the command again without --resume.'
+        );
+      }
+    }
+    log(`${label}: ${previous.hash || 'the previous send'} never reached the network, sending again at nonce ${previous.nonce}`);
+    return { nonce: previous.nonce };
+  }
+
+  /** Wait for a step's transaction (following replacements) and record the outcome */
+  async function settleStep(key, label, hash, nonce) {
+    let cancelled = false;
+    const receipt = await waitForStep(pub, hash, nonce, waitTimeout, journal, (replacement, reason) => {
+      cancelled = reason === 'cancelled';
+      recordStep(key, { hash: replacement, replaced: [...(journal.steps.find(st => st.key === key).replaced || []), hash] });
+    });
+    if (cancelled) {
+      recordStep(key, { status: 'cancelled', blockNumber: receipt.blockNumber.toString() });
+      throw new Error(`${label} was cancelled (nonce ${nonce} replaced by ${receipt.transactionHash})`);
+    }
+    const ok = receipt.status === 'success';
+    recordStep(key, { status: ok ? 'confirmed' : 'reverted', blockNumber: receipt.blockNumber.toString() });
+    return { hash: receipt.transactionHash, receipt, result: null, dryRun: false, ok };
+  }
+
+  /** Refuse to send when the wallet can't cover gas at the max fee (plus value); --sponsor-gas asks the proxy first */
+  async function ensureGasBalance(label, tx, txFees) {
+    let gas;
+    try {
+      gas = await pub.estimateGas({ account: session.address, ...tx });
+    } catch {
+      return; // a revert surfaces from the send itself, with its decoded reason
+    }
+    const need = gas * txFees.maxFeePerGas + (tx.value ?? 0n);
+    let balance = await pub.getBalance({ address: session.address });
+    if (balance >= need) return;
+    if (args['sponsor-gas'] && await requestGasSponsorship(session)) {
+      balance = await pub.getBalance({ address: session.address });
+      if (balance >= need) return;
+    }
+    throw new Error(
+      `Insufficient ETH for ${label}: needs up to ${formatUnits(need, 18)} ETH ` +
+      `(${gas} gas at ${formatGwei(txFees.maxFeePerGas)} gwei${tx.value ? ` + ${formatUnits(tx.value, 18)} ETH value` : ''}), ` +
+      `wallet has ${formatUnits(balance, 18)}. Fund the wallet${args['sponsor-gas'] ? '' : ', or re-run with --sponsor-gas'}.`
+    );
+  }
+
+  /**
+   * Simulate one step on top of the steps planned so far in this run. Returns
+   * { call, returns, gas, note, error }; `error` holds the revert, if any.
+   */
+  async function simulateCall(step) {
+    const call = { to: step.address, abi: step.abi, functionName: step.functionName, args: step.args, value: step.value };
+    const data = step.abi ? encodeFunctionData({ abi: step.abi, functionName: step.functionName, args: step.args }) : '0x';
+    const sim = { call, returns: null, gas: null, note: null, error: null };
+
+    try {
+      if (planned.length > 0) {
+        try {
+          const { results } = await pub.simulateCalls({ account: session.address, calls: [...planned, call] });
+          const last = results[results.length - 1];
+          if (last.status === 'failure') throw last.error;
+          sim.returns = last.result ?? null;
+          sim.gas = last.gasUsed;
+          return sim;
+        } catch (err) {
+          // RPC without eth_simulateV1: fall back to simulating this step alone
+          const unsupported = err.walk?.(e => e.code === -32601 || e.code === -32004) || /simulateV1/i.test(err.message || '');
+          if (!unsupported) throw err;
+          sim.note = 'simulated without the effects of earlier steps';
+        }
+      }
+      if (step.abi) {
+        const { result } = await pub.simulateContract({
+          account: session.address,
+          address: step.address,
+          abi: step.abi,
+          functionName: step.functionName,
+          args: step.args,
+          value: step.value,
+        });
+        sim.returns = result ?? null;
+      }
+      sim.gas = await pub.estimateGas({ account: session.address, to: step.address, data, value: step.value });
+    } catch (err) {
+      sim.error = err;
+    }
+    return sim;
+  }
+
+  async function simulate(step) {
+    const entry = {
+      label: step.label,
+      to: step.address,
+      function: step.functionName || 'transfer (ETH)',
+      ok: true,
+      revertReason: null,
+      returns: null,
+      gas: null,
+      gasCostEth: null,
+      movements: step.movements ? await step.movements() : [],
+    };
+
+    const sim = await simulateCall(step);
+    entry.returns = sim.returns;
+    entry.gas = sim.gas;
+    if (sim.note) entry.note = sim.note;
+    if (sim.error) {
+      entry.ok = false;
+      entry.revertReason = decodeRevertError(sim.error);
+    }
+
+    if (entry.gas !== null) {
+      fees = fees || resolveFees(args, await pub.estimateFeesPerGas());
+      entry.gasCostEth = formatUnits(entry.gas * fees.maxFeePerGas, 18);
+      entry.gas = entry.gas.toString();
+    }
+    if (typeof entry.returns === 'bigint') entry.returns = entry.returns.toString();
+
+    planned.push(sim.call);
+    report.push(entry);
+    log(`[dry-run] ${step.label}: ${entry.ok ? `ok, ~${entry.gas} gas` : `would revert: ${entry.revertReason}`}`);
+    return { hash: null, receipt: null, result: entry.returns, dryRun: true, ok: entry.ok };
+  }
+
+  return {
+    dryRun,
+
+    /**
+     * Would `step` succeed if sent now? In dry-run it is simulated after the
+     * steps planned so far (e.g. an approve). Nothing is sent or reported.
+     */
+    async check(step) {
+      const sim = await simulateCall(step);
+      return { ok: !sim.error, revertReason: sim.error ? decodeRevertError(sim.error) : null, note: sim.note };
+    },
+
+    /** EIP-712 signature from the session signer (permits); never used in dry-run */
+    async signTypedData(typedData) {
+      wallet ??= await getWalletClient(session);
+      return wallet.signTypedData(typedData);
+    },
+
+    /**
+     * Send (or simulate) one step. `movements` is an optional async function
+     * describing expected token flows; it is only evaluated in dry-run mode.
+     */
+    async send(step) {
+      if (dryRun) return simulate(step);
+
+      // Steps are matched across runs by label, target and function
+      const stepId = `${step.label}:${step.address.toLowerCase()}:${step.functionName || 'send'}`;
+      const n = occurrences[stepId] = (occurrences[stepId] ?? -1) + 1;
+      const key = `${stepId}#${n}`;
+
+      const resumed = await resumeStep(key, step.label);
+      if (resumed?.result) return resumed.result;
+
+      wallet ??= await getWalletClient(session);
+      const data = step.abi ? encodeFunctionData({ abi: step.abi, functionName: step.functionName, args: step.args }) : '0x';
+      const txFees = resolveFees(args, await pub.estimateFeesPerGas());
+      await ensureGasBalance(step.label, { to: step.address, data, value: step.value }, txFees);
+
+      openJournal();
+      const nonce = resumed?.nonce ?? await pub.getTransactionCount({ address: session.address, blockTag: 'pending' });
+      recordStep(key, {
+        step: step.label,
+        to: step.address,
+        function: step.functionName || null,
+        data,
+        value: (step.value ?? 0n).toString(),
+        nonce,
+        maxFeePerGas: txFees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas.toString(),
+        hash: null,
+        status: 'sending',
+        blockNumber: null,
+      });
+
+      let hash;
+      try {
+        hash = step.abi
+          ? await wallet.writeContract({
+            address: step.address,
+            abi: step.abi,
+            functionName: step.functionName,
+            args: step.args,
+            value: step.value,
+            nonce,
+            ...txFees,
+          })
+          : await wallet.sendTransaction({ to: step.address, value: step.value, nonce, ...txFees });
+      } catch (err) {
+        recordStep(key, { status: 'failed', error: firstLine(err.shortMessage || err.message) });
+        throw err;
+      }
+      recordStep(key, { hash, status: 'pending' });
+
+      log(`${step.label} tx: ${hash}`);
+      log('Waiting for confirmation...');
+      return settleStep(key, step.label, hash, nonce);
+    },
+
+    /** Dry-run summary: per-step results, combined token movements and gas */
+    report(extra = {}) {
+      const totalGasWei = report.reduce((sum, r) => sum + (r.gasCostEth ? parseUnits(r.gasCostEth, 18) : 0n), 0n);
+      return {
+        ok: report.every(r => r.ok),
+        dryRun: true,
+        ...extra,
+        steps: report,
+        tokenMovements: report.flatMap(r => r.movements),
+        totalGasCostEth: formatUnits(totalGasWei, 18),
+      };
+    },
+  };
+}
+
+/** Expected token flows when a bounty is approved, rejected or cancelled */
+async function bountyMovements(pub, bountyAddress, action) {
+  const views = ['token', 'amount', 'posterBond', 'workerBond', 'poster', 'claimer', 'rejectionCount'];
+  const results = await readMany(pub, views.map(functionName => ({ address: bountyAddress, abi: bountyAbi, functionName })));
+  const v = Object.fromEntries(views.map((name, i) => [name, results[i].result]));
+  if (!v.token) return [];
+
+  const sym = tokenSymbolByAddress(v.token);
+  const decimals = TOKENS[sym]?.decimals ?? 18;
+  const move = (amount, from, to) => ({ token: sym, amount: formatUnits(amount, decimals), from, to });
+
+  if (action === 'approve') {
+    return [
+      move(v.amount + v.workerBond, bountyAddress, v.claimer),
+      move(v.posterBond, bountyAddress, v.poster),
+    ];
+  }
+  if (action === 'cancel') {
+    return [move(v.amount + v.posterBond, bountyAddress, v.poster)];
+  }
+  if (action === 'reject' && Number(v.rejectionCount) === 0) {
+    // First rejection: worker bond slashed, half to the poster, half burned
+    const half = v.workerBond / 2n;
+    return [move(half, bountyAddress, v.poster), move(v.workerBond - half, bountyAddress, 'burned')];
+  }
+  if (action === 'reject') {
+    // Second rejection: both bonds burned, escrow back to the poster
+    return [
+      move(v.amount, bountyAddress, v.poster),
+      move(v.posterBond + v.workerBond, bountyAddress, 'burned'),
+    ];
+  }
+  return [];
+}
+
+// ─── Argument Parser ────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next && !next.startsWith('--')) {
+        args[key] = next;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    } else if (!args._positional) {
+      args._positional = argv[i];
+    }
+  }
+  return args;
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+async function createParaSession(email) {
+  log(`Creating wallet for ${email}...`);
+  const res = await fetch(`${PROXY_URL}/api/v1/wallets`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      type: 'EVM',
+      userIdentifier: email,
+      userIdentifierType: 'EMAIL',
+    }),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Wallet creation failed (${res.status}): ${await res.text()}`);
+  }
+
+  const wallet = await res.json();
+  return { signer: 'para', walletId: wallet.id, address: wallet.address, email };
+}
+
+/** Ask the proxy to top up gas for the session address; returns whether it did */
+async function requestGasSponsorship(session) {
+  log('Requesting gas sponsorship...');
+  try {
+    const gasRes = await fetch(`${PROXY_URL}/onboard/sponsor-gas`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Clara-Address': session.address,
+      },
+    });
+    if (gasRes.ok) {
+      log('Gas sponsored! You have enough ETH for transactions.');
+      return true;
+    }
+    log('Gas sponsorship unavailable. You may need to bridge ETH to Base.');
+  } catch {
+    log('Could not request gas sponsorship.');
+  }
+  return false;
+}
+
+async function cmdSetup(args) {
+  const signer = args.signer || 'para';
+  if (!SIGNERS.includes(signer)) {
+    output({ ok: false, error: `Unknown signer: ${signer}. Use: ${SIGNERS.join(', ')}` });
+    return;
+  }
+
+  let session;
+  if (signer === 'para') {
+    if (!args.email) {
+      output({ ok: false, error: 'Email required: --email you@example.com' });
+      return;
+    }
+    session = await createParaSession(args.email);
+  } else if (signer === 'keystore') {
+    if (!args.import) {
+      output({ ok: false, error: 'Required: --import <keystore.json>' });
+      return;
+    }
+    // Unlock once to prove the password, then keep a private copy next to the session
+    const account = await unlockKeystore(args.import);
+    mkdirSync(SESSION_DIR, { recursive: true });
+    writeFileSync(KEYSTORE_FILE, readFileSync(args.import), { mode: 0o600 });
+    session = { signer, address: account.address, keystoreFile: KEYSTORE_FILE };
+  } else {
+    if (!process.env.CLARA_PRIVATE_KEY) {
+      output({ ok: false, error: 'Set CLARA_PRIVATE_KEY to use the env signer' });
+      return;
+    }
+    session = { signer, address: privateKeyToAccount(normalizePrivateKey(process.env.CLARA_PRIVATE_KEY)).address };
+  }
+
+  session = { ...session, chainId: CHAIN.id, createdAt: new Date().toISOString() };
+  saveSession(session);
+  log(`Wallet ready: ${session.address} (${signer} signer)`);
+
+  // Auto-request gas sponsorship for new wallets
+  const pub = getPublicClient();
+  const balance = await pub.getBalance({ address: session.address });
+  if (balance === 0n) await requestGasSponsorship(session);
+
+  output({
+    ok: true,
+    signer,
+    address: session.address,
+    walletId: session.walletId,
+    email: session.email,
+    keystoreFile: session.keystoreFile,
+  });
+}
+
+async function cmdStatus(_args) {
+  const session = loadSession() ?? envSession();
+  if (!session) {
+    output({ ok: true, authenticated: false, message: 'No session. Run setup first.' });
+    return;
+  }
+
+  const pub = getPublicClient();
+  const balance = await pub.getBalance({ address: session.address });
+
+  // Check if registered as agent (networks without Clara contracts only have a wallet)
+  const hasContracts = NETWORK.missingContracts.length === 0;
+  const agentId = hasContracts ? await getAgentIdForAddress(pub, session.address) : null;
+  const index = hasContracts ? loadIndex() : null;
+
+  output({
+    ok: true,
+    authenticated: true,
+    network: NETWORK.name,
+    chainId: CHAIN.id,
+    signer: session.signer || 'para',
+    ...(session.keystoreFile ? { keystoreFile: session.keystoreFile } : {}),
+    address: session.address,
+    email: session.email,
+    ethBalance: formatUnits(balance, 18),
+    agentId: agentId !== null ? agentId.toString() : null,
+    index: index && {
+      lastSyncedBlock: index.lastSyncedBlock,
+      syncedAt: index.syncedAt || null,
+      failedRanges: index.failedRanges.length,
+    },
+    ...(hasContracts ? {} : { missingContracts: NETWORK.missingContracts }),
+  });
+}
+
+function parseSkills(str) {
+  return String(str).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/** The AgentRegistration document stored as the agent's tokenURI */
+function agentRegistration(session, { name, description = '', image = '', services = [], skills, active = true }) {
+  return {
+    type: 'AgentRegistration',
+    name,
+    description,
+    image,
+    services: [
+      { type: 'agentWallet', endpoint: `eip155:${CHAIN.id}:${session.address}` },
+      ...services.filter(s => s.type !== 'agentWallet'),
+    ],
+    skills,
+    x402Support: true,
+    active,
+    registrations: [],
+  };
+}
+
+/** Throw if a registration document doesn't have the shape register writes */
+function validateRegistration(data) {
+  const problems = [];
+  if (data.type !== 'AgentRegistration') problems.push('type must be "AgentRegistration"');
+  if (typeof data.name !== 'string' || !data.name.trim()) problems.push('name is required');
+  if (typeof data.description !== 'string') problems.push('description must be a string');
+  if (typeof data.image !== 'string') problems.push('image must be a string');
+  if (!Array.isArray(data.skills) || data.skills.length === 0 || !data.skills.every(s => typeof s === 'string' && s)) {
+    problems.push('skills must be a non-empty list');
+  }
+  if (!Array.isArray(data.services) || !data.services.every(s => s && typeof s.type === 'string' && typeof s.endpoint === 'string' && s.endpoint)) {
+    problems.push('each service needs a type and an endpoint');
+  }
+  if (typeof data.active !== 'boolean') problems.push('active must be true or false');
+  if (problems.length > 0) throw new Error(`Invalid agent profile: ${problems.join('; ')}`);
+}
+
+/** Upload a profile to the proxy for public discoverability; returns whether it was accepted */
+async function publishProfile(session, agentId, agentData) {
+  try {
+    const res = await fetch(`${PROXY_URL}/agents/${agentId}.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Clara-Address': session.address,
+      },
+      body: JSON.stringify({ ...agentData, agentId: String(agentId), address: session.address }),
+    });
+    return res.ok;
+  } catch { return false; /* optional, non-blocking */ }
+}
+
+async function cmdRegister(args) {
+  const session = requireSession();
+  const { name, skills, bio } = args;
+
+  if (!name || !skills) {
+    output({ ok: false, error: 'Required: --name "Agent Name" --skills "sol,ts,react"' });
+    return;
+  }
+
+  const skillArray = parseSkills(skills);
+  const agentData = agentRegistration(session, { name, description: bio || '', skills: skillArray });
+  validateRegistration(agentData);
+
+  const agentURI = toDataURI(agentData);
+  const tx = createTxRunner(session, args);
+
+  log('Registering agent on-chain...');
+  const { hash, receipt, result } = await tx.send({
+    label: 'Register',
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'register',
+    args: [agentURI],
+  });
+
+  if (tx.dryRun) {
+    output(tx.report({ expectedAgentId: result, name, skills: skillArray }));
+    return;
+  }
+
+  let agentId = null;
+  for (const eventLog of receipt.logs) {
+    try {
+      const decoded = decodeEventLog({
+        abi: identityAbi,
+        data: eventLog.data,
+        topics: eventLog.topics,
+      });
+      if (decoded.eventName === 'Register') {
+        agentId = decoded.args.agentId.toString();
+      } else if (!agentId && decoded.eventName === 'Transfer' &&
+                 decoded.args.from === '0x0000000000000000000000000000000000000000') {
+        // Fallback: ERC-721 mint Transfer event carries the tokenId
+        agentId = decoded.args.tokenId.toString();
+      }
+    } catch { /* not our event */ }
+  }
+
+  // Persist agentId in session for future lookups (avoids RPC log scanning limits)
+  if (agentId) cacheAgentId(session, parseInt(agentId));
+
+  // Upload profile to proxy for public discoverability
+  if (agentId) await publishProfile(session, agentId, agentData);
+
+  output({
+    ok: true,
+    agentId,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    name,
+    skills: skillArray,
+  });
+}
+
+/** Read an agent's current registration document from its tokenURI (data: or http(s) URI) */
+async function loadRegistration(pub, agentId) {
+  const tokenURI = await pub.readContract({
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'tokenURI',
+    args: [agentId],
+  });
+  const inline = parseDataURI(tokenURI);
+  if (inline) return inline;
+  if (/^https?:\/\//.test(tokenURI)) {
+    // Bounded like the gateway reads, so an unresponsive host fails the update instead of hanging it
+    const res = await fetch(tokenURI, { signal: AbortSignal.timeout(15_000) }).catch((err) => {
+      throw new Error(`Cannot fetch the current profile from ${tokenURI}: ${err.message}`);
+    });
+    if (res.ok) return res.json();
+  }
+  throw new Error(`Cannot read the current profile from tokenURI ${tokenURI}`);
+}
+
+/** "web=https://a,mcp=https://b" -> [{ type, endpoint }]; an empty endpoint removes the service */
+function parseServices(str) {
+  return String(str).split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) throw new Error(`--services entries look like type=endpoint, got: ${pair}`);
+    return { type: pair.slice(0, eq).trim(), endpoint: pair.slice(eq + 1).trim() };
+  });
+}
+
+async function cmdUpdateProfile(args) {
+  const session = requireSession();
+  if (args.active !== undefined && args.active !== 'true' && args.active !== 'false') {
+    output({ ok: false, error: `--active takes true or false, e.g. --active false (got ${args.active === true ? 'no value' : args.active})` });
+    return;
+  }
+  const pub = getPublicClient();
+  const agentId = await getAgentIdForAddress(pub, session.address);
+  if (agentId === null) {
+    output({ ok: false, error: 'Not registered as an agent. Run register first.' });
+    return;
+  }
+
+  const owner = await pub.readContract({
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'ownerOf',
+    args: [agentId],
+  });
+  if (owner.toLowerCase() !== session.address.toLowerCase()) {
+    output({ ok: false, error: `Agent #${agentId} is owned by ${owner}, not this wallet.` });
+    return;
+  }
+
+  const current = await loadRegistration(pub, agentId);
+  const changes = {};
+  if (typeof args.name === 'string') changes.name = args.name;
+  if (typeof args.bio === 'string') changes.description = args.bio;
+  if (typeof args.image === 'string') changes.image = args.image;
+  if (typeof args.skills === 'string') changes.skills = parseSkills(args.skills);
+  if (args.active !== undefined) changes.active = args.active === 'true';
+
+  let services = Array.isArray(current.services) ? current.services : [];
+  if (typeof args.services === 'string') {
+    for (const { type, endpoint } of parseServices(args.services)) {
+      services = services.filter(s => s.type !== type);
+      if (endpoint) services.push({ type, endpoint });
+    }
+    changes.services = services;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    output({ ok: false, error: 'Nothing to update. Pass any of --name, --bio, --image, --skills, --services, --active.' });
+    return;
+  }
+
+  // Keep fields other tools may have added; rebuild the ones register owns
+  const updated = {
+    ...current,
+    ...agentRegistration(session, {
+      name: current.name,
+      description: current.description ?? '',
+      image: current.image ?? '',
+      services,
+      skills: current.skills,
+      active: current.active ?? true,
+      ...changes,
+    }),
+    registrations: current.registrations ?? [],
+  };
+  validateRegistration(updated);
+
+  const tx = createTxRunner(session, args);
+  log(`Updating agent #${agentId} profile...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Update profile',
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'updateURI',
+    args: [agentId, toDataURI(updated)],
+  });
+
+  if (tx.dryRun) {
+    output(tx.report({ agentId: agentId.toString(), changed: Object.keys(changes), profile: updated }));
+    return;
+  }
+
+  const published = await publishProfile(session, agentId, updated);
+
+  output({
+    ok: true,
+    agentId: agentId.toString(),
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    changed: Object.keys(changes),
+    profile: updated,
+    published,
+  });
+}
+
+async function cmdSync(args) {
+  const pub = getPublicClient();
+  const { index, added, failedRanges } = await syncIndex(pub, { reset: !!args.reset });
+
+  output({
+    ok: true,
+    lastSyncedBlock: index.lastSyncedBlock,
+    newEvents: added.length,
+    bounties: Object.keys(index.bounties).length,
+    agents: Object.keys(index.agents).length,
+    feedback: index.feedback.length,
+    failedRanges,
+    indexFile: INDEX_FILE,
+  });
+}
+
+async function cmdBrowse(args) {
+  const pub = getPublicClient();
+  const index = await indexForRead(pub, args);
+
+  // Default: look back ~24 hours of blocks at the network's block time
+  const head = BigInt(index.lastSyncedBlock ?? BOUNTY_FIRST_BLOCK);
+  const lookbackBlocks = BigInt(parseInt(args.days || '1') * BLOCKS_PER_DAY);
+  const fromBlock = head - lookbackBlocks > BOUNTY_FIRST_BLOCK
+    ? head - lookbackBlocks
+    : BOUNTY_FIRST_BLOCK;
+
+  const recent = Object.values(index.bounties)
+    .filter(b => BigInt(b.createdBlock) >= fromBlock)
+    .sort((a, b) => Number(BigInt(a.createdBlock) - BigInt(b.createdBlock)));
+  await prefetchPayloads(recent.filter(b => args.all || b.status === 0).map(b => b.taskURI));
+  const bounties = recent.map(formatBounty);
+
+  // Bounties created in these blocks are missing until a later sync fetches them
+  const unfetched = index.failedRanges.length > 0 ? { unfetchedRanges: index.failedRanges } : {};
+
+  if (bounties.length === 0) {
+    output({ ok: true, bounties: [], message: 'No bounties found in this time range.', ...unfetched });
+    return;
+  }
+
+  // Apply filters
+  let filtered = bounties;
+  if (args.skill) {
+    const skill = args.skill.toLowerCase();
+    filtered = filtered.filter(b =>
+      b.skills.some(s => s.toLowerCase().includes(skill))
+    );
+  }
+  if (args.min) {
+    filtered = filtered.filter(b => parseFloat(b.amount) >= parseFloat(args.min));
+  }
+  if (args.max) {
+    filtered = filtered.filter(b => parseFloat(b.amount) <= parseFloat(args.max));
+  }
+  if (!args.all) {
+    // Default: only show Open bounties
+    filtered = filtered.filter(b => b.statusCode === 0);
+  }
+
+  output({
+    ok: true,
+    bounties: filtered,
+    total: filtered.length,
+    syncedToBlock: index.lastSyncedBlock,
+    ...unfetched,
+  });
+}
+
+const INSPECT_VIEWS = [
+  'status', 'amount', 'token', 'deadline', 'poster', 'claimer', 'claimerAgentId',
+  'posterBond', 'workerBond', 'submittedAt', 'rejectionCount', 'taskURI', 'proofURI',
+];
+
+/** Human-readable details for a lifecycle event in the timeline */
+function describeEvent(e, decimals, symbol) {
+  const a = e.args;
+  const fmt = (v) => `${formatUnits(BigInt(v), decimals)} ${symbol}`;
+  switch (e.event) {
+    case 'BountyCreated': return { poster: a.poster, amount: fmt(a.amount), posterBond: fmt(a.posterBond) };
+    case 'BountyClaimed': return { claimer: a.claimer, agentId: a.agentId };
+    case 'WorkSubmitted': return { claimer: a.claimer, proofURI: a.proofURI };
+    case 'BountyApproved': return { claimer: a.claimer, amount: fmt(a.amount) };
+    case 'BountyRejected': return { poster: a.poster, claimer: a.claimer, rejectionCount: Number(a.rejectionCount) };
+    case 'BountyCancelled': return { poster: a.poster, amount: fmt(a.amount) };
+    default: return a;
+  }
+}
+
+async function cmdInspect(args) {
+  const bountyAddress = args.bounty || args._positional;
+
+  if (!bountyAddress || !isAddress(bountyAddress)) {
+    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+    return;
+  }
+
+  const pub = getPublicClient();
+
+  log(`Reading bounty ${shortAddr(bountyAddress)}...`);
+  const results = await readMany(pub, INSPECT_VIEWS.map(functionName => ({ address: bountyAddress, abi: bountyAbi, functionName })));
+  const state = {};
+  INSPECT_VIEWS.forEach((name, i) => {
+    state[name] = results[i].status === 'success' ? results[i].result : null;
+  });
+
+  if (state.status === null || state.token === null) {
+    output({ ok: false, error: `Not a Clara bounty (or RPC unavailable): ${bountyAddress}` });
+    return;
+  }
+
+  // Token decimals come from the token itself, not from an assumed WETH/USDC layout
+  const [decimalsRes, symbolRes] = await readMany(pub, [
+    { address: state.token, abi: erc20Abi, functionName: 'decimals' },
+    { address: state.token, abi: erc20Abi, functionName: 'symbol' },
+  ]);
+  const knownSym = tokenSymbolByAddress(state.token);
+  const decimals = decimalsRes.status === 'success'
+    ? Number(decimalsRes.result)
+    : (TOKENS[knownSym]?.decimals ?? 18);
+  const symbol = symbolRes.status === 'success' ? symbolRes.result : knownSym;
+  const fmt = (v) => v === null ? null : formatUnits(v, decimals);
+
+  // Timeline from the local index, with block timestamps; a fresh index is not built just for this
+  const index = await indexForRead(pub, args, { catchUpOnly: true });
+  const lower = bountyAddress.toLowerCase();
+  const events = index.events.filter(e => e.bounty === lower).sort(compareEvents);
+  const blockNumbers = [...new Set(events.map(e => e.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map(n =>
+    pub.getBlock({ blockNumber: BigInt(n) }).catch(() => null)
+  ));
+  const timestamps = Object.fromEntries(blockNumbers.map((n, i) => [
+    n, blocks[i] ? new Date(Number(blocks[i].timestamp) * 1000).toISOString() : null,
+  ]));
+
+  const timeline = events.map(e => ({
+    event: e.event,
+    blockNumber: e.blockNumber,
+    timestamp: timestamps[e.blockNumber],
+    txHash: e.txHash,
+    ...describeEvent(e, decimals, symbol),
+  }));
+
+  // Payloads: ipfs:// content is checked against its CID; hashed proof URLs are fetched again and compared
+  const payloadOptions = { allowUnverified: Boolean(args['allow-unverified']) };
+  const task = await readPayload(state.taskURI, payloadOptions);
+  const proof = await readProof(state.proofURI, payloadOptions);
+
+  const statusCode = Number(state.status);
+  const deadline = Number(state.deadline);
+  const submittedAt = state.submittedAt ? Number(state.submittedAt) : 0;
+  const zero = '0x0000000000000000000000000000000000000000';
+
+  output({
+    ok: true,
+    bountyAddress,
+    status: BOUNTY_STATUS[statusCode] || `Unknown(${statusCode})`,
+    statusCode,
+    token: { symbol, address: state.token, decimals },
+    amount: fmt(state.amount),
+    posterBond: fmt(state.posterBond),
+    workerBond: fmt(state.workerBond),
+    deadline: new Date(deadline * 1000).toISOString(),
+    deadlinePassed: Date.now() > deadline * 1000,
+    poster: state.poster,
+    claimer: state.claimer && state.claimer !== zero ? state.claimer : null,
+    claimerAgentId: state.claimerAgentId ? state.claimerAgentId.toString() : null,
+    submittedAt: submittedAt > 0 ? new Date(submittedAt * 1000).toISOString() : null,
+    rejectionCount: state.rejectionCount === null ? null : Number(state.rejectionCount),
+    taskURI: state.taskURI,
+    task: task.data,
+    spec: state.taskURI ? readTask(state.taskURI).spec : null,
+    taskIntegrity: task.integrity,
+    proofURI: state.proofURI || null,
+    proof: proof.data,
+    proofIntegrity: proof.integrity,
+    timeline,
+    indexed: events.length > 0,
+  });
+}
+
+const WATCH_FILE = networkPath('watch.json');
+
+
+/** Which side of a bounty `address` is on, or null if it isn't involved */
+function roleInBounty(bounty, address) {
+  const lower = address.toLowerCase();
+  if (bounty.poster?.toLowerCase() === lower) return 'poster';
+  if (bounty.claimer?.toLowerCase() === lower) return 'claimer';
+  return null;
+}
+
+/** Polling interval in ms from --interval (whole seconds) */
+function pollIntervalMs(args, defaultSeconds) {
+  if (args.interval === undefined) return defaultSeconds * 1000;
+  const value = String(args.interval);
+  if (!/^[1-9]\d*$/.test(value)) throw new Error(`--interval is a whole number of seconds, e.g. --interval ${defaultSeconds} (got ${value})`);
+  return Number(value) * 1000;
+}
+
+async function postWebhook(url, payload) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (!res.ok) log(`Webhook returned ${res.status}`);
+  } catch (err) {
+    log(`Webhook failed: ${err.message}`);
+  }
+}
+
+async function cmdWatch(args) {
+  const session = requireSession();
+  const webhook = args.webhook || process.env.CLARA_WEBHOOK_URL || null;
+  const intervalMs = pollIntervalMs(args, 15);
+  const pub = getPublicClient();
+  const me = session.address;
+
+  // Resume from the last processed block; a fresh watch starts at the head.
+  // `startBlock` is where this watch's stream began: events backfilled from
+  // failed ranges are only emitted above it, so an empty or stale index never
+  // replays history that predates the watch.
+  const saved = loadStateFile(WATCH_FILE);
+  let cursor;
+  let startBlock;
+  if (args['from-block']) {
+    cursor = BigInt(args['from-block']) - 1n;
+    startBlock = cursor;
+  } else if (saved?.address?.toLowerCase() === me.toLowerCase()) {
+    cursor = BigInt(saved.lastBlock);
+    startBlock = BigInt(saved.startBlock ?? saved.lastBlock);
+  } else {
+    cursor = await pub.getBlockNumber();
+    startBlock = cursor;
+  }
+
+  let stopping = false;
+  const stop = () => { stopping = true; log('Stopping watch...'); };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  log(`Watching bounties for ${shortAddr(me)} from block ${cursor + 1n}${webhook ? ` (webhook: ${webhook})` : ''}`);
+
+  while (!stopping) {
+    try {
+      const { index, backfilled } = await syncIndex(pub);
+
+      // New blocks past the cursor, plus ranges backfilled below it this round
+      const pending = new Map();
+      for (const e of index.events) {
+        if (BigInt(e.blockNumber) > cursor) pending.set(eventKey(e), e);
+      }
+      for (const e of backfilled) {
+        if (e.bounty && BigInt(e.blockNumber) > startBlock) pending.set(eventKey(e), e);
+      }
+
+      for (const e of [...pending.values()].sort(compareEvents)) {
+        const bounty = index.bounties[e.bounty];
+        const role = bounty && roleInBounty(bounty, me);
+        if (!role) continue;
+
+        const symbol = tokenSymbolByAddress(bounty.token);
+        const decimals = TOKENS[symbol]?.decimals ?? 18;
+        const line = {
+          type: 'bounty-event',
+          event: e.event,
+          bountyAddress: bounty.address,
+          role,
+          currentStatus: BOUNTY_STATUS[bounty.status],
+          blockNumber: e.blockNumber,
+          txHash: e.txHash,
+          ...describeEvent(e, decimals, symbol),
+        };
+        emitLine(line);
+        if (webhook) await postWebhook(webhook, line);
+      }
+
+      const synced = BigInt(index.lastSyncedBlock);
+      if (synced > cursor) cursor = synced;
+      saveStateFile(WATCH_FILE, {
+        address: me,
+        startBlock: startBlock.toString(),
+        lastBlock: cursor.toString(),
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      log(`Watch iteration failed: ${err.shortMessage || err.message}`);
+    }
+    if (args.once) break;
+
+    // Sleep in short steps so a signal stops the loop promptly
+    for (let waited = 0; waited < intervalMs && !stopping; waited += 500) await sleep(500);
+  }
+}
+
+/** Compact "2d 4h" / "3h" / "45m" rendering of a number of seconds */
+function formatRemaining(seconds) {
+  const s = Math.abs(seconds);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return h > 0 ? `${d}d ${h}h` : `${d}d`;
+  if (h > 0) return m > 0 ? `${h}h ${m}m` : `${h}h`;
+  return `${m}m`;
+}
+
+/**
+ * What should happen next on a bounty, from `role`'s point of view.
+ * Returns { nextAction, actionRequired } where actionRequired means the
+ * session address is the one expected to act.
+ */
+function nextActionFor(bounty, role, now = Math.floor(Date.now() / 1000)) {
+  const remaining = Number(bounty.deadline) - now;
+  const past = remaining <= 0;
+  const left = formatRemaining(remaining);
+
+  switch (bounty.status) {
+    case 0:
+      return past
+        ? { nextAction: 'Open — past deadline, cancellable', actionRequired: role === 'poster' }
+        : { nextAction: `Open — waiting for a claimer, deadline in ${left}`, actionRequired: false };
+    case 1:
+      if (role === 'claimer') {
+        const again = bounty.rejectionCount > 0 ? ' (rejected once — resubmit)' : '';
+        return past
+          ? { nextAction: `Claimed — deadline passed ${left} ago, not submitted${again}`, actionRequired: false }
+          : { nextAction: `Claimed — deadline in ${left}, not submitted${again}`, actionRequired: true };
+      }
+      return past
+        ? { nextAction: `Claimed — deadline passed ${left} ago without submission`, actionRequired: false }
+        : { nextAction: `Claimed — worker has ${left} to submit`, actionRequired: false };
+    case 2:
+      if (role === 'poster') {
+        const warn = bounty.rejectionCount > 0 ? ' (another rejection burns both bonds)' : '';
+        return { nextAction: `Submitted — awaiting your review${warn}`, actionRequired: true };
+      }
+      return { nextAction: 'Submitted — awaiting poster review', actionRequired: false };
+    case 3:
+      return { nextAction: 'Approved — complete', actionRequired: false };
+    case 4:
+      return { nextAction: 'Rejected — closed', actionRequired: false };
+    case 5:
+      return { nextAction: 'Cancelled — closed', actionRequired: false };
+    case 6:
+      return { nextAction: 'Expired — unclaimed past deadline, cancellable', actionRequired: role === 'poster' };
+    default:
+      return { nextAction: BOUNTY_STATUS[bounty.status] || 'Unknown', actionRequired: false };
+  }
+}
+
+/** Indexed bounties where `address` is poster or claimer, annotated with the next action */
+function myBounties(index, address) {
+  const now = Math.floor(Date.now() / 1000);
+  const rows = [];
+  for (const b of Object.values(index.bounties)) {
+    const role = roleInBounty(b, address);
+    if (!role) continue;
+    rows.push({ ...formatBounty(b), role, ...nextActionFor(b, role, now), secondsToDeadline: Number(b.deadline) - now });
+  }
+  // Things waiting on me first, then by deadline
+  return rows.sort((a, b) =>
+    (b.actionRequired - a.actionRequired) || (a.secondsToDeadline - b.secondsToDeadline)
+  );
+}
+
+async function cmdMine(args) {
+  const session = requireSession();
+  const pub = getPublicClient();
+  const index = await indexForRead(pub, args);
+  await prefetchPayloads(Object.values(index.bounties)
+    .filter(b => roleInBounty(b, session.address))
+    .map(b => b.taskURI));
+
+  let bounties = myBounties(index, session.address);
+  // Expired bounties still hold the poster's escrow until cancelled
+  if (args.active) bounties = bounties.filter(b => b.statusCode <= 2 || b.statusCode === 6);
+  if (args.role) bounties = bounties.filter(b => b.role === args.role);
+
+  output({
+    ok: true,
+    address: session.address,
+    bounties,
+    total: bounties.length,
+    actionRequired: bounties.filter(b => b.actionRequired).length,
+    syncedToBlock: index.lastSyncedBlock,
+  });
+}
+
+/**
+ * Deadline-relevant bounties for `address`: claimed by it and not yet
+ * submitted, or posted by it and unclaimed past the deadline.
+ */
+function deadlineRows(index, address, now = Math.floor(Date.now() / 1000)) {
+  const rows = [];
+  for (const b of Object.values(index.bounties)) {
+    const role = roleInBounty(b, address);
+    const remaining = Number(b.deadline) - now;
+    let kind;
+    let action;
+    if (role === 'claimer' && b.status === 1) {
+      kind = remaining > 0 ? 'claimed-unsubmitted' : 'claimed-overdue';
+      action = remaining > 0
+        ? `Submit within ${formatRemaining(remaining)}: node clara-work.mjs submit --bounty ${b.address} --proof <proof>`
+        : `Deadline passed before submission; check node clara-work.mjs inspect --bounty ${b.address} before submitting late`;
+    } else if (role === 'poster' && (b.status === 0 || b.status === 6) && remaining <= 0) {
+      kind = 'open-expired';
+      action = `Cancel to recover escrow and bond: node clara-work.mjs cancel --bounty ${b.address}`;
+    } else {
+      continue;
+    }
+    rows.push({
+      ...formatBounty(b),
+      role,
+      kind,
+      secondsRemaining: remaining,
+      timeRemaining: remaining > 0 ? formatRemaining(remaining) : `overdue by ${formatRemaining(remaining)}`,
+      action,
+    });
+  }
+  return rows.sort((a, b) => a.secondsRemaining - b.secondsRemaining);
+}
+
+async function cmdDeadlines(args) {
+  const session = requireSession();
+  const within = args.within ? parseDuration(args.within) : null;
+  if (args.within && within === null) {
+    output({ ok: false, error: `Invalid --within: ${args.within}. Use a duration like "6h" or "2 days".` });
+    return;
+  }
+
+  const pub = getPublicClient();
+  const index = await indexForRead(pub, args);
+  await prefetchPayloads(Object.values(index.bounties)
+    .filter(b => roleInBounty(b, session.address))
+    .map(b => b.taskURI));
+
+  // --within narrows to what is due soon (or already overdue)
+  let rows = deadlineRows(index, session.address);
+  if (within !== null) rows = rows.filter(r => r.secondsRemaining <= within);
+
+  output({
+    ok: true,
+    address: session.address,
+    within: args.within || null,
+    deadlines: rows,
+    total: rows.length,
+    dueSoon: rows.filter(r => r.kind === 'claimed-unsubmitted').length,
+    overdue: rows.filter(r => r.kind !== 'claimed-unsubmitted').length,
+    syncedToBlock: index.lastSyncedBlock,
+  });
+}
+
+const AUTOPILOT_FILE = networkPath('autopilot.json');
+const AUTOPILOT_LOG = networkPath('autopilot-decisions.jsonl');
+
+/** Load and normalise an autopilot policy file */
+function loadPolicy(file) {
+  if (!existsSync(file)) throw new Error(`Policy file not found: ${file}`);
+  const raw = JSON.parse(readFileSync(file, 'utf-8'));
+
+  const tokens = (raw.tokens || Object.keys(TOKENS)).map(t => t.toUpperCase());
+  for (const sym of tokens) resolveToken(sym);
+
+  // Per-token amounts may be given as one number for every token or a { SYMBOL: amount } map
+  const perToken = (value, name) => {
+    const out = {};
+    for (const sym of tokens) {
+      const v = typeof value === 'object' && value !== null ? value[sym] : value;
+      if (v === undefined || v === null) continue;
+      out[sym] = parseUnits(String(v), TOKENS[sym].decimals);
+    }
+    if (name && value !== undefined && Object.keys(out).length === 0) {
+      throw new Error(`Policy "${name}" does not cover any allowed token`);
+    }
+    return out;
+  };
+
+  let minTimeToDeadline = 0;
+  if (raw.minTimeToDeadline !== undefined) {
+    minTimeToDeadline = parseDuration(raw.minTimeToDeadline);
+    if (minTimeToDeadline === null) throw new Error(`Invalid minTimeToDeadline: "${raw.minTimeToDeadline}"`);
+  }
+
+  return {
+    skills: (raw.skills || []).map(s => s.toLowerCase()),
+    tokens,
+    minAmount: perToken(raw.minAmount),
+    minTimeToDeadline,
+    maxConcurrentClaims: raw.maxConcurrentClaims ?? 1,
+    maxBondAtRisk: perToken(raw.maxBondAtRisk, 'maxBondAtRisk'),
+    wrapEth: raw.wrapEth === true,
+  };
+}
+
+/** Bond a worker would lock on an indexed bounty */
+function indexedBond(bounty) {
+  return (BigInt(bounty.amount) * BigInt(bounty.bondRate)) / 10000n;
+}
+
+/** Check an indexed bounty against the policy; returns the reasons it fails (empty = qualifies) */
+function evaluatePolicy(policy, bounty, exposure, me) {
+  const reasons = [];
+  const sym = tokenSymbolByAddress(bounty.token);
+  const decimals = TOKENS[sym]?.decimals ?? 18;
+  const remaining = Number(bounty.deadline) - Math.floor(Date.now() / 1000);
+
+  if (bounty.status !== 0) reasons.push(`status is ${BOUNTY_STATUS[bounty.status]}`);
+  if (bounty.poster.toLowerCase() === me.toLowerCase()) reasons.push('own bounty');
+  if (!policy.tokens.includes(sym)) reasons.push(`token ${sym} not allowed`);
+  if (policy.minAmount[sym] !== undefined && BigInt(bounty.amount) < policy.minAmount[sym]) {
+    reasons.push(`amount ${formatUnits(BigInt(bounty.amount), decimals)} below minimum ${formatUnits(policy.minAmount[sym], decimals)} ${sym}`);
+  }
+  if (remaining < policy.minTimeToDeadline) {
+    reasons.push(`deadline in ${Math.max(remaining, 0)}s, policy requires ${policy.minTimeToDeadline}s`);
+  }
+  if (policy.skills.length > 0) {
+    const tags = bounty.skillTags.map(t => t.toLowerCase());
+    if (!tags.some(t => policy.skills.includes(t))) reasons.push(`skills [${bounty.skillTags.join(', ')}] not in policy`);
+  }
+  if (exposure.claims >= policy.maxConcurrentClaims) {
+    reasons.push(`already holding ${exposure.claims} claim(s), max ${policy.maxConcurrentClaims}`);
+  }
+  if (policy.maxBondAtRisk[sym] !== undefined) {
+    const atRisk = (exposure.bonds[sym] || 0n) + indexedBond(bounty);
+    if (atRisk > policy.maxBondAtRisk[sym]) {
+      reasons.push(`bond at risk would be ${formatUnits(atRisk, decimals)} ${sym}, max ${formatUnits(policy.maxBondAtRisk[sym], decimals)}`);
+    }
+  }
+  return reasons;
+}
+
+/** Claims and bonds currently at stake for `me` according to the index */
+function currentExposure(index, me) {
+  const exposure = { claims: 0, bonds: {} };
+  for (const b of Object.values(index.bounties)) {
+    if (b.claimer?.toLowerCase() !== me.toLowerCase()) continue;
+    if (b.status !== 1 && b.status !== 2) continue;
+    const sym = tokenSymbolByAddress(b.token);
+    if (b.status === 1) exposure.claims++;
+    exposure.bonds[sym] = (exposure.bonds[sym] || 0n) + indexedBond(b);
+  }
+  return exposure;
+}
+
+function recordDecision(entry) {
+  const line = { time: new Date().toISOString(), ...entry };
+  mkdirSync(SESSION_DIR, { recursive: true });
+  appendFileSync(AUTOPILOT_LOG, JSON.stringify(line) + '\n');
+  emitLine(line);
+}
+
+/**
+ * Re-check on-chain state, secure the bond (a permit where the token allows
+ * it) and claim. Returns a decision entry. `bondOptions` go to prepareWorkerBond.
+ */
+async function autopilotClaim(pub, tx, session, agentId, bounty, bondOptions) {
+  const bountyAddress = bounty.address;
+
+  // The index can lag the chain: someone may have claimed it since
+  const status = Number(await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'status' }));
+  if (status !== 0) {
+    return { decision: 'skipped', reasons: [`lost race: status is now ${BOUNTY_STATUS[status]}`] };
+  }
+
+  const bondInfo = await prepareWorkerBond(pub, tx, session, bountyAddress, bondOptions);
+  if (!bondInfo.ok) return { decision: 'skipped', reasons: [bondInfo.error] };
+  const approveTx = bondInfo.approveTxHash;
+
+  // An approve sent for a claim that doesn't happen must not leave the bounty able to pull the bond later
+  async function revokeApproval() {
+    if (!approveTx) return null;
+    log(`Revoking the ${bondInfo.token} approval for ${bountyAddress}...`);
+    const { hash } = await tx.send({
+      label: 'Revoke',
+      address: bounty.token,
+      abi: erc20Abi,
+      functionName: 'approve',
+      args: [bountyAddress, 0n],
+    });
+    return hash;
+  }
+
+  // Simulate first so a claim race costs no gas. The runner chains the check
+  // after the wrap/approve it planned, which in dry-run were never sent.
+  const step = { label: 'Claim', address: bountyAddress, abi: bountyAbi, ...claimCall(agentId, bondInfo) };
+  const check = await tx.check(step);
+  // Without eth_simulateV1 a dry-run checks the claim alone, where the missing approval is expected to revert
+  const inconclusive = !check.ok && check.note && tx.dryRun;
+  if (!check.ok && !inconclusive) {
+    return {
+      decision: 'skipped',
+      reasons: [check.revertReason.includes('InvalidStatus') ? 'lost race: claimed by someone else' : `claim would revert: ${check.revertReason}`],
+      approveTxHash: approveTx,
+      revokeTxHash: await revokeApproval(),
+    };
+  }
+
+  const { hash, receipt, dryRun } = await tx.send(step);
+  if (dryRun) {
+    const reasons = [`bond ${bondInfo.bond} ${bondInfo.token} would be locked`];
+    if (inconclusive) reasons.push(`claim ${check.note}: ${check.revertReason}`);
+    return { decision: 'would-claim', reasons };
+  }
+  if (receipt.status !== 'success') {
+    return {
+      decision: 'failed',
+      reasons: ['claim transaction reverted (likely lost a race)'],
+      txHash: hash,
+      approveTxHash: approveTx,
+      revokeTxHash: await revokeApproval(),
+    };
+  }
+  return {
+    decision: 'claimed',
+    reasons: [`bond ${bondInfo.bond} ${bondInfo.token} locked`],
+    txHash: hash,
+    approveTxHash: approveTx,
+    wrapTxHash: bondInfo.wrapTxHash,
+  };
+}
+
+async function cmdAutopilot(args) {
+  const session = requireSession();
+  if (!args.policy) {
+    output({ ok: false, error: 'Required: --policy <policy.json>' });
+    return;
+  }
+  const policy = loadPolicy(args.policy);
+  const intervalMs = pollIntervalMs(args, 30);
+  const pub = getPublicClient();
+  const me = session.address;
+
+  const agentId = await getAgentIdForAddress(pub, me);
+  if (agentId === null) {
+    output({ ok: false, error: 'Not registered as an agent. Run "register" first.' });
+    return;
+  }
+  // Only bounties created after the cursor are considered; it survives restarts
+  const saved = loadStateFile(AUTOPILOT_FILE);
+  let cursor;
+  if (args['from-block']) {
+    cursor = BigInt(args['from-block']) - 1n;
+  } else if (saved?.address?.toLowerCase() === me.toLowerCase()) {
+    cursor = BigInt(saved.lastBlock);
+  } else {
+    cursor = await pub.getBlockNumber();
+  }
+
+  let stopping = false;
+  const stop = () => { stopping = true; log('Stopping autopilot...'); };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  log(`Autopilot for agent #${agentId} watching new bounties from block ${cursor + 1n} (log: ${AUTOPILOT_LOG})`);
+
+  while (!stopping) {
+    try {
+      const { index } = await syncIndex(pub);
+      const exposure = currentExposure(index, me);
+
+      const fresh = Object.values(index.bounties)
+        .filter(b => BigInt(b.createdBlock) > cursor)
+        .sort((a, b) => Number(BigInt(a.createdBlock) - BigInt(b.createdBlock)));
+
+      for (const bounty of fresh) {
+        if (stopping) break;
+        const entry = { bountyAddress: bounty.address, token: tokenSymbolByAddress(bounty.token), skills: bounty.skillTags };
+        const reasons = evaluatePolicy(policy, bounty, exposure, me);
+        if (reasons.length > 0) {
+          recordDecision({ ...entry, decision: 'skipped', reasons });
+          continue;
+        }
+
+        try {
+          const bondOptions = { wrap: policy.wrapEth, permit: !args['no-permit'] };
+          const result = await autopilotClaim(pub, createTxRunner(session, args), session, agentId, bounty, bondOptions);
+          closeJournals();
+          recordDecision({ ...entry, ...result });
+          if (result.decision === 'claimed') {
+            exposure.claims++;
+            exposure.bonds[entry.token] = (exposure.bonds[entry.token] || 0n) + indexedBond(bounty);
+          }
+        } catch (err) {
+          closeJournals(err.message);
+          recordDecision({ ...entry, decision: 'failed', reasons: [decodeRevertError(err)] });
+        }
+      }
+
+      const synced = BigInt(index.lastSyncedBlock);
+      if (synced > cursor) cursor = synced;
+      saveStateFile(AUTOPILOT_FILE, { address: me, lastBlock: cursor.toString() });
+    } catch (err) {
+      log(`Autopilot iteration failed: ${err.shortMessage || err.message}`);
+    }
+
+    if (args.once) break;
+    for (let waited = 0; waited < intervalMs && !stopping; waited += 500) await sleep(500);
+  }
+}
+
+/** Decode common contract revert errors */
+function decodeRevertError(err) {
+  const msg = err.message || err.toString();
+  
+  // Known error signatures
+  const errorSignatures = {
+    '0xf924664d': 'InvalidStatus(currentStatus, requiredStatus) - Bounty not in Open state',
+    '0x4e487b71': 'Panic(uint256) - Internal contract panic',
+    '0x08c379a0': 'Error(string) - Generic revert with message',
+    'InsufficientAllowance': 'Insufficient token allowance for worker bond. Run approve-bond first',
+  };
+  
+  for (const [sig, desc] of Object.entries(errorSignatures)) {
+    if (msg.includes(sig)) return desc;
+  }
+  
+  // Check for common patterns
+  if (/permit|invalid signature|ERC2612/i.test(msg)) return 'Permit rejected by the token (expired or invalid signature). Retry with --no-permit to use approve';
+  if (msg.includes('ERC20:')) return `ERC20 Error: ${msg.match(/ERC20:[^\n]+/)?.[0] || 'Token transfer failed'}`;
+  if (msg.includes('reverted')) return `Contract reverted: ${msg.match(/reverted[^\n]*/)?.[0] || 'Unknown reason'}`;
+  
+  return msg;
+}
+
+async function cmdClaim(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+  const skipApproval = args['skip-approval'] || false;
+
+  if (!bountyAddress || !isAddress(bountyAddress)) {
+    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+    return;
+  }
+
+  const pub = getPublicClient();
+  const agentId = await getAgentIdForAddress(pub, session.address);
+
+  if (agentId === null) {
+    output({ ok: false, error: 'Not registered as an agent. Run "register" first.' });
+    return;
+  }
+
+  // Pre-check: verify bounty is Open and not own bounty
+  try {
+    const status = await pub.readContract({
+      address: bountyAddress,
+      abi: bountyAbi,
+      functionName: 'status',
+    });
+    
+    if (Number(status) !== 0) {
+      const statusName = BOUNTY_STATUS[Number(status)] || `Unknown(${status})`;
+      output({ 
+        ok: false, 
+        error: `Cannot claim: Bounty status is "${statusName}" (expected "Open"). Only Open bounties can be claimed.`,
+        status: Number(status),
+        statusName,
+      });
+      return;
+    }
+
+    const poster = await pub.readContract({
+      address: bountyAddress,
+      abi: bountyAbi,
+      functionName: 'poster',
+    });
+
+    if (poster.toLowerCase() === session.address.toLowerCase()) {
+      output({
+        ok: false,
+        error: 'Cannot claim: You cannot claim your own bounty.',
+        suggestion: 'This bounty was posted by your wallet. Only other agents can claim it.',
+      });
+      return;
+    }
+  } catch (statusErr) {
+    log(`Warning: Could not verify bounty status: ${statusErr.message}`);
+  }
+
+  // Worker bond: make sure the wallet holds it and the bounty may pull it
+  const tx = createTxRunner(session, args);
+  let bondInfo;
+  try {
+    bondInfo = await prepareWorkerBond(pub, tx, session, bountyAddress, {
+      wrap: !!args.wrap,
+      approve: !skipApproval,
+      permit: !args['no-permit'],
+    });
+  } catch (err) {
+    output({ ok: false, error: `Could not prepare worker bond: ${decodeRevertError(err)}`, rawError: err.message });
+    return;
+  }
+  if (!bondInfo.ok) {
+    output(bondInfo);
+    return;
+  }
+
+  log(`Claiming bounty ${shortAddr(bountyAddress)} as agent #${agentId}...`);
+  
+  try {
+    const { hash, receipt } = await tx.send({
+      label: 'Claim',
+      address: bountyAddress,
+      abi: bountyAbi,
+      ...claimCall(agentId, bondInfo),
+      movements: async () => [{ token: bondInfo.token, amount: bondInfo.bond, from: session.address, to: bountyAddress }],
+    });
+
+    if (tx.dryRun) {
+      output(tx.report({ bountyAddress, agentId: agentId.toString(), bond: `${bondInfo.bond} ${bondInfo.token}` }));
+      return;
+    }
+
+    output({
+      ok: true,
+      txHash: hash,
+      blockNumber: receipt.blockNumber.toString(),
+      bountyAddress,
+      agentId: agentId.toString(),
+      bond: `${bondInfo.bond} ${bondInfo.token}`,
+      wrapTxHash: bondInfo.wrapTxHash,
+      approveTxHash: bondInfo.approveTxHash,
+      approval: bondInfo.permit ? 'permit' : 'approve',
+    });
+  } catch (err) {
+    const decoded = decodeRevertError(err);
+    output({
+      ok: false,
+      error: `Claim failed: ${decoded}`,
+      suggestion: decoded.includes('InvalidStatus') 
+        ? 'The bounty may have been claimed by someone else, or is no longer Open. Run "browse --all" to check current status.'
+        : decoded.includes('Allowance')
+        ? 'Run without --skip-approval so claim approves the worker bond, or run approve-bond first.'
+        : 'Check the bounty status and try again.',
+      rawError: err.message,
+    });
+  }
+}
+
+async function cmdSubmit(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+  const proof = typeof args.proof === 'string' ? args.proof : null;
+  const deliverable = typeof args.file === 'string' || typeof args.dir === 'string';
+
+  if (!bountyAddress || (!proof && !deliverable)) {
+    output({ ok: false, error: 'Required: --bounty 0xAddress --proof "URL or description" (or --file <path> / --dir <path>)' });
+    return;
+  }
+  if (args.file && args.dir) {
+    output({ ok: false, error: 'Use either --file or --dir, not both' });
+    return;
+  }
+
+  const tx = createTxRunner(session, args);
+
+  // ipfs:// proofs are already content-addressed. URLs get the hash of what
+  // they serve now, so the poster can tell later if the content changed.
+  // Files and directories are published as a manifest; --proof becomes its note.
+  let proofURI;
+  let manifest = null;
+  if (deliverable) {
+    log(`Hashing ${args.file || args.dir}...`);
+    const built = await buildManifest({ file: args.file, dir: args.dir });
+    if (built.skipped.length > 0) log(`Skipped ${built.skipped.length} non-regular file(s): ${built.skipped.join(', ')}`);
+    manifest = built.manifest;
+    proofURI = await storePayload({
+      ...manifest,
+      proof: proof || `${manifest.files.length} file(s)`,
+      submittedBy: session.address,
+      timestamp: new Date().toISOString(),
+    }, { inline: args.inline, dryRun: tx.dryRun });
+  } else if (proof.startsWith('ipfs://')) {
+    proofURI = proof;
+  } else {
+    const payload = { proof, submittedBy: session.address, timestamp: new Date().toISOString() };
+    if (/^https?:\/\//.test(proof) && !args['no-hash']) {
+      log(`Hashing ${proof}...`);
+      try {
+        Object.assign(payload, { url: proof, hashAlgorithm: 'sha256' }, await hashUrl(proof));
+      } catch (err) {
+        output({ ok: false, error: `Could not fetch the proof URL to hash it (${err.message}). Fix the link, or pass --no-hash to submit it unhashed.` });
+        return;
+      }
+    }
+    proofURI = await storePayload(payload, { inline: args.inline, dryRun: tx.dryRun });
+  }
+
+  log(`Submitting work to ${shortAddr(bountyAddress)}...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Submit',
+    address: bountyAddress,
+    abi: bountyAbi,
+    functionName: 'submitWork',
+    args: [proofURI],
+  });
+
+  const files = manifest && { files: manifest.files.length, rootHash: manifest.rootHash };
+
+  if (tx.dryRun) {
+    output(tx.report({ bountyAddress, proofURI, ...files }));
+    return;
+  }
+
+  output({
+    ok: true,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    bountyAddress,
+    proofURI,
+    contentHash: payloadOf(proofURI)?.contentHash ?? null,
+    ...files,
+  });
+}
+
+async function cmdVerifyProof(args) {
+  const bountyAddress = args.bounty || args._positional;
+  if (!bountyAddress || !isAddress(bountyAddress) || (typeof args.dir !== 'string' && typeof args.file !== 'string')) {
+    output({ ok: false, error: 'Required: --bounty 0xBountyAddress --dir <received copy> (or --file <path>)' });
+    return;
+  }
+
+  const pub = getPublicClient();
+  const proofURI = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'proofURI' });
+  if (!proofURI) {
+    output({ ok: false, error: 'Nothing has been submitted for this bounty yet.' });
+    return;
+  }
+
+  const { data, integrity } = await readPayload(proofURI, { allowUnverified: Boolean(args['allow-unverified']) });
+  if (!data) {
+    output({ ok: false, error: `Could not read the submitted proof ${proofURI}${integrity?.error ? `: ${integrity.error}` : ''}` });
+    return;
+  }
+  if (data.schema !== MANIFEST_SCHEMA || !Array.isArray(data.files)) {
+    output({ ok: false, error: 'The submitted proof is not a file manifest (it was not submitted with --file or --dir).' });
+    return;
+  }
+
+  // The manifest must be internally consistent before it is worth comparing against
+  const selfConsistent = manifestRoot(data.files) === data.rootHash;
+  const { manifest: local } = await buildManifest({ file: args.file, dir: args.dir });
+  const result = compareManifests(data, local);
+
+  output({
+    ok: true,
+    bountyAddress,
+    proofURI,
+    proofIntegrity: integrity,
+    match: result.match && selfConsistent,
+    rootHash: { submitted: data.rootHash, local: local.rootHash },
+    files: { submitted: data.files.length, local: local.files.length },
+    missing: result.missing,
+    extra: result.extra,
+    mismatched: result.mismatched,
+    ...(selfConsistent ? {} : { warning: 'The submitted rootHash does not match its own file list' }),
+  });
+}
+
+async function cmdApprove(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+
+  if (!bountyAddress) {
+    output({ ok: false, error: 'Required: --bounty 0xAddress' });
+    return;
+  }
+
+  output(await approveBounty(session, args, bountyAddress));
+}
+
+/** Approve (with optional --rating/--comment feedback); returns the command result */
+async function approveBounty(session, args, bountyAddress) {
+  const tx = createTxRunner(session, args);
+  const pub = getPublicClient();
+  const rating = parseInt(args.rating || '0');
+  const movements = () => bountyMovements(pub, bountyAddress, 'approve');
+  let sent;
+
+  if (rating > 0) {
+    // Approve with reputation feedback
+    const comment = args.comment || '';
+    const feedbackData = {
+      rating,
+      comment,
+      bountyAddress,
+      timestamp: new Date().toISOString(),
+    };
+    const feedbackURI = toDataURI(feedbackData);
+    const feedbackHash = keccak256(stringToHex(feedbackURI));
 
-  // Default: look back ~24 hours (43200 blocks at 2s/block on Base)
-  const lookbackBlocks = BigInt(parseInt(args.days || '1') * 43200);
-  const fromBlock = latestBlock - lookbackBlocks > BOUNTY_FIRST_BLOCK
-    ? latestBlock - lookbackBlocks
-    : BOUNTY_FIRST_BLOCK;
+    log(`Approving with ${rating}/5 rating...`);
+    sent = await tx.send({
+      label: 'Approve',
+      address: bountyAddress,
+      abi: bountyAbi,
+      functionName: 'approveWithFeedback',
+      args: [BigInt(rating), 0, 'bounty', 'completed', '', feedbackURI, feedbackHash],
+      movements,
+    });
+  } else {
+    log('Approving work (no rating)...');
+    sent = await tx.send({
+      label: 'Approve',
+      address: bountyAddress,
+      abi: bountyAbi,
+      functionName: 'approve',
+      movements,
+    });
+  }
 
-  log(`Scanning bounties from block ${fromBlock} to ${latestBlock}...`);
+  if (tx.dryRun) return tx.report({ bountyAddress, rating: rating || 'none' });
+  const { hash, receipt } = sent;
 
-  // Scan in chunks to avoid public RPC range limits
-  const CHUNK = 5000n;
-  let events = [];
-  for (let from = fromBlock; from <= latestBlock; from += CHUNK) {
-    const to = from + CHUNK - 1n > latestBlock ? latestBlock : from + CHUNK - 1n;
-    try {
-      const chunk = await pub.getContractEvents({
-        address: CONTRACTS.BOUNTY_FACTORY,
-        abi: factoryAbi,
-        eventName: 'BountyCreated',
-        fromBlock: from,
-        toBlock: to,
-      });
-      if (chunk.length > 0) events.push(...chunk);
-    } catch {
-      log(`Chunk ${from}-${to} failed, skipping...`);
-    }
-  }
+  return {
+    ok: true,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    bountyAddress,
+    rating: rating || 'none',
+  };
+}
+
+async function cmdReject(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
 
-  if (events.length === 0) {
-    output({ ok: true, bounties: [], message: 'No bounties found in this time range.' });
+  if (!bountyAddress) {
+    output({ ok: false, error: 'Required: --bounty 0xAddress' });
     return;
   }
 
-  // Read current status for each bounty via multicall
-  const bountyAddresses = events.map(e => e.args.bountyAddress);
-  const statusCalls = bountyAddresses.map(addr => ({
-    address: addr,
+  output(await rejectBounty(session, args, bountyAddress));
+}
+
+const FINAL_REJECT_WARNING = 'This would be the second rejection: it is final, and burns both the poster bond and the worker bond.';
+
+/** Reject the submission; returns the command result */
+async function rejectBounty(session, args, bountyAddress) {
+  const tx = createTxRunner(session, args);
+  const pub = getPublicClient();
+
+  const rejections = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'rejectionCount' }).catch(() => null);
+  if (rejections !== null && Number(rejections) >= 1) log(`Warning: ${FINAL_REJECT_WARNING}`);
+
+  log(`Rejecting work at ${shortAddr(bountyAddress)}...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Reject',
+    address: bountyAddress,
     abi: bountyAbi,
-    functionName: 'status',
-  }));
+    functionName: 'reject',
+    movements: () => bountyMovements(pub, bountyAddress, 'reject'),
+  });
 
-  log(`Found ${events.length} bounties, reading current status...`);
-  const statuses = await pub.multicall({ contracts: statusCalls });
+  if (tx.dryRun) return tx.report({ bountyAddress });
 
-  const bounties = events.map((e, i) => {
-    const status = statuses[i].status === 'success' ? Number(statuses[i].result) : -1;
-    const a = e.args;
-    const tokenSym = tokenSymbolByAddress(a.token);
-    const tokenInfo = TOKENS[tokenSym] || { decimals: 18 };
+  return {
+    ok: true,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    bountyAddress,
+    finalRejection: rejections !== null && Number(rejections) >= 1,
+  };
+}
+
+const REVIEW_VIEWS = ['status', 'poster', 'claimer', 'rejectionCount', 'taskURI', 'proofURI'];
+const REVIEW_CHECK_TIMEOUT_MS = 300_000;
 
+/**
+ * Run the poster's --check command with the task and proof as JSON files.
+ * It runs in --dir (the received deliverable) when given; exit code 0 passes.
+ */
+function runReviewCheck(command, { bountyAddress, task, proof, dir, timeoutMs }) {
+  const work = mkdtempSync(join(tmpdir(), 'clara-review-'));
+  try {
+    writeFileSync(join(work, 'task.json'), JSON.stringify(task ?? null, null, 2));
+    writeFileSync(join(work, 'proof.json'), JSON.stringify(proof ?? null, null, 2));
+    const res = spawnSync(command, {
+      shell: true,
+      cwd: dir || process.cwd(),
+      env: {
+        ...process.env,
+        CLARA_BOUNTY: bountyAddress,
+        CLARA_TASK_FILE: join(work, 'task.json'),
+        CLARA_PROOF_FILE: join(work, 'proof.json'),
+        CLARA_DELIVERABLE: dir || '',
+      },
+      encoding: 'utf-8',
+      timeout: timeoutMs,
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    const combined = `${res.stdout || ''}${res.stderr || ''}`;
     return {
-      address: a.bountyAddress,
-      poster: a.poster,
-      token: tokenSym,
-      amount: formatUnits(a.amount, tokenInfo.decimals),
-      posterBond: formatUnits(a.posterBond, tokenInfo.decimals),
-      deadline: new Date(Number(a.deadline) * 1000).toISOString(),
-      status: BOUNTY_STATUS[status] || `Unknown(${status})`,
-      statusCode: status,
-      skills: a.skillTags,
-      task: parseDataURI(a.taskURI)?.summary || a.taskURI,
+      command,
+      passed: res.status === 0,
+      exitCode: res.status,
+      timedOut: res.error?.code === 'ETIMEDOUT',
+      output: combined.length > 4000 ? `...${combined.slice(-4000)}` : combined,
+      ...(res.error && res.error.code !== 'ETIMEDOUT' ? { error: res.error.message } : {}),
     };
+  } finally {
+    rmSync(work, { recursive: true, force: true });
+  }
+}
+
+/** Ask for a decision on a terminal; returns null when the poster skips */
+async function promptDecision(report) {
+  log('');
+  log(`Task: ${report.task ?? '(none)'}`);
+  report.acceptanceCriteria.forEach((c, i) => log(`  [${i + 1}] ${c}`));
+  const proof = report.proof;
+  log(`Proof: ${typeof proof === 'string' ? proof : proof?.proof ?? JSON.stringify(proof)}`);
+  if (report.proofIntegrity?.warning) log(`Warning: ${report.proofIntegrity.warning}`);
+  if (report.manifest) log(`Manifest: ${report.manifest.match ? 'matches' : 'DOES NOT match'} the local copy`);
+  if (report.check) log(`Check: ${report.check.passed ? 'passed' : `FAILED (exit ${report.check.exitCode})`}`);
+  if (report.finalRejection) log(`Warning: ${FINAL_REJECT_WARNING}`);
+  log('');
+
+  const answer = (await prompt('Decision: [a]pprove, [r]eject or [s]kip? ')).toLowerCase();
+  if (answer.startsWith('a')) {
+    const rating = await prompt('Rating 1-5 (blank for none): ');
+    const comment = rating ? await prompt('Comment: ') : '';
+    return { decision: 'approve', rating, comment };
+  }
+  if (answer.startsWith('r')) {
+    if (report.finalRejection && (await prompt("Type 'reject' to confirm the final rejection: ")) !== 'reject') return null;
+    return { decision: 'reject', final: true };
+  }
+  return null;
+}
+
+async function cmdReview(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+  if (!bountyAddress || !isAddress(bountyAddress)) {
+    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+    return;
+  }
+  if (args.decision !== undefined && !['approve', 'reject'].includes(args.decision)) {
+    output({ ok: false, error: '--decision must be approve or reject' });
+    return;
+  }
+
+  const pub = getPublicClient();
+  const results = await readMany(pub, REVIEW_VIEWS.map(functionName => ({ address: bountyAddress, abi: bountyAbi, functionName })));
+  const state = Object.fromEntries(REVIEW_VIEWS.map((name, i) => [name, results[i].status === 'success' ? results[i].result : null]));
+  if (state.status === null) {
+    output({ ok: false, error: `Not a Clara bounty (or RPC unavailable): ${bountyAddress}` });
+    return;
+  }
+  if (state.poster.toLowerCase() !== session.address.toLowerCase()) {
+    output({ ok: false, error: `Only the poster (${state.poster}) can review this bounty.` });
+    return;
+  }
+  if (Number(state.status) !== 2) {
+    output({ ok: false, error: `Nothing to review: status is ${BOUNTY_STATUS[Number(state.status)]}.` });
+    return;
+  }
+
+  const payloadOptions = { allowUnverified: Boolean(args['allow-unverified']) };
+  const task = await readPayload(state.taskURI, payloadOptions);
+  const { summary, spec } = readTask(state.taskURI);
+  const proof = await readProof(state.proofURI, payloadOptions);
+  const finalRejection = Number(state.rejectionCount) >= 1;
+
+  const report = {
+    bountyAddress,
+    claimer: state.claimer,
+    task: summary,
+    deliverableType: spec?.deliverableType ?? null,
+    acceptanceCriteria: spec?.acceptanceCriteria ?? [],
+    proofURI: state.proofURI,
+    proof: proof.data ?? state.proofURI,
+    proofIntegrity: proof.integrity,
+    manifest: null,
+    check: null,
+    rejectionCount: Number(state.rejectionCount),
+    finalRejection,
+    rejectOutcome: await bountyMovements(pub, bountyAddress, 'reject'),
+    ...(finalRejection ? { warning: FINAL_REJECT_WARNING } : {}),
+  };
+
+  // A file-manifest proof is checked against the received copy automatically
+  const dir = typeof args.dir === 'string' ? args.dir : null;
+  if (dir && proof.data?.schema === MANIFEST_SCHEMA) {
+    const { manifest: local } = await buildManifest({ dir });
+    report.manifest = compareManifests(proof.data, local);
+  }
+  if (typeof args.check === 'string') {
+    log(`Running check: ${args.check}`);
+    report.check = runReviewCheck(args.check, {
+      bountyAddress,
+      task: task.data,
+      proof: proof.data ?? state.proofURI,
+      dir,
+      timeoutMs: args['check-timeout'] ? parseInt(args['check-timeout']) * 1000 : REVIEW_CHECK_TIMEOUT_MS,
+    });
+  }
+
+  // Decide: --decision, else ask on a terminal, else just report
+  let choice = null;
+  if (args.decision) {
+    choice = { decision: args.decision, rating: args.rating, comment: args.comment, final: Boolean(args.final) };
+  } else if (process.stdin.isTTY && !args['no-prompt']) {
+    choice = await promptDecision(report);
+  }
+
+  if (!choice) {
+    output({ ok: true, ...report, decision: null });
+    return;
+  }
+  const failed = [report.check && !report.check.passed && 'the check failed', report.manifest && !report.manifest.match && 'the manifest does not match']
+    .filter(Boolean);
+  if (choice.decision === 'approve' && args.decision && failed.length > 0 && !args.force) {
+    output({ ok: false, ...report, decision: null, error: `Not approving: ${failed.join(' and ')}. Re-run with --force to approve anyway.` });
+    return;
+  }
+  if (choice.decision === 'reject' && finalRejection && !choice.final) {
+    output({ ok: false, ...report, decision: null, error: `${FINAL_REJECT_WARNING} Re-run with --final to confirm.` });
+    return;
+  }
+
+  const decisionArgs = { ...args, rating: choice.rating, comment: choice.comment };
+  const result = choice.decision === 'approve'
+    ? await approveBounty(session, decisionArgs, bountyAddress)
+    : await rejectBounty(session, decisionArgs, bountyAddress);
+  output({ ...result, review: report, decision: choice.decision });
+}
+
+async function cmdCancel(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+
+  if (!bountyAddress) {
+    output({ ok: false, error: 'Required: --bounty 0xAddress' });
+    return;
+  }
+
+  const tx = createTxRunner(session, args);
+  const pub = getPublicClient();
+
+  log(`Cancelling bounty ${shortAddr(bountyAddress)}...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Cancel',
+    address: bountyAddress,
+    abi: bountyAbi,
+    functionName: 'cancel',
+    movements: () => bountyMovements(pub, bountyAddress, 'cancel'),
   });
 
-  // Apply filters
-  let filtered = bounties;
-  if (args.skill) {
-    const skill = args.skill.toLowerCase();
-    filtered = filtered.filter(b =>
-      b.skills.some(s => s.toLowerCase().includes(skill))
-    );
+  if (tx.dryRun) {
+    output(tx.report({ bountyAddress }));
+    return;
   }
-  if (args.min) {
-    filtered = filtered.filter(b => parseFloat(b.amount) >= parseFloat(args.min));
+
+  output({
+    ok: true,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    bountyAddress,
+  });
+}
+
+async function cmdApproveBond(args) {
+  const session = requireSession();
+  const bountyAddress = args.bounty || args._positional;
+  const amount = args.amount;
+
+  if (!bountyAddress || !isAddress(bountyAddress)) {
+    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+    return;
   }
-  if (args.max) {
-    filtered = filtered.filter(b => parseFloat(b.amount) <= parseFloat(args.max));
+
+  const pub = getPublicClient();
+  
+  // Get bounty details
+  let token, workerBond;
+  try {
+    ({ token, bond: workerBond } = await expectedWorkerBond(pub, bountyAddress));
+  } catch (err) {
+    output({ ok: false, error: `Failed to read bounty details: ${err.message}` });
+    return;
   }
-  if (!args.all) {
-    // Default: only show Open bounties
-    filtered = filtered.filter(b => b.statusCode === 0);
+
+  const tokenSym = tokenSymbolByAddress(token);
+  const tokenInfo = TOKENS[tokenSym] || { decimals: 18 };
+  
+  // Use provided amount or default to workerBond
+  const approveAmount = amount ? parseUnits(amount, tokenInfo.decimals) : workerBond;
+  
+  log(`Approving ${formatUnits(approveAmount, tokenInfo.decimals)} ${tokenSym} for worker bond on bounty ${shortAddr(bountyAddress)}...`);
+  
+  const tx = createTxRunner(session, args);
+  
+  try {
+    const { hash, receipt } = await tx.send({
+      label: 'Approve',
+      address: token,
+      abi: erc20Abi,
+      functionName: 'approve',
+      args: [bountyAddress, approveAmount],
+    });
+
+    if (tx.dryRun) {
+      output(tx.report({ bountyAddress, token: tokenSym, amount: formatUnits(approveAmount, tokenInfo.decimals) }));
+      return;
+    }
+
+    output({
+      ok: true,
+      txHash: hash,
+      blockNumber: receipt.blockNumber.toString(),
+      bountyAddress,
+      token: tokenSym,
+      amount: formatUnits(approveAmount, tokenInfo.decimals),
+      note: 'You can now claim this bounty with --skip-approval',
+    });
+  } catch (err) {
+    output({
+      ok: false,
+      error: `Approval failed: ${decodeRevertError(err)}`,
+      rawError: err.message,
+    });
+  }
+}
+
+/** The new bounty's address from a create receipt's BountyCreated event */
+function createdBounty(receipt) {
+  for (const eventLog of receipt.logs) {
+    try {
+      const decoded = decodeEventLog({
+        abi: factoryAbi,
+        data: eventLog.data,
+        topics: eventLog.topics,
+      });
+      if (decoded.eventName === 'BountyCreated') return decoded.args.bountyAddress;
+    } catch { /* not our event */ }
+  }
+  return null;
+}
+
+async function cmdPost(args) {
+  const session = requireSession();
+  const { amount, token: tokenSymbol, deadline, skills } = args;
+
+  if (!amount || !deadline || (!args.task && !args['task-file'])) {
+    output({ ok: false, error: 'Required: --amount 50 --deadline "3 days" --task "Description of work" (or --task-file spec.json)' });
+    return;
+  }
+  if (args.task && args['task-file']) {
+    output({ ok: false, error: 'Use either --task or --task-file, not both' });
+    return;
+  }
+
+  // Validated before anything is signed or sent
+  const spec = args['task-file'] ? loadTaskSpec(args['task-file']) : null;
+  const task = spec ? spec.title : args.task;
+
+  const token = resolveToken(tokenSymbol);
+  const amountWei = parseUnits(amount, token.decimals);
+  const deadlineTimestamp = parseDeadline(deadline);
+  const skillArray = skills ? skills.split(',').map(s => s.trim()) : [];
+
+  const pub = getPublicClient();
+  const tx = createTxRunner(session, args);
+
+  // Poster bond at the factory's current rate (basis points)
+  const bondRate = await pub.readContract({ address: CONTRACTS.BOUNTY_FACTORY, abi: factoryAbi, functionName: 'bondRate' });
+  const bondAmount = (amountWei * bondRate) / 10000n;
+  const totalApproval = amountWei + bondAmount;
+  const bondNote = `${amount} + ${Number(bondRate) / 100}% bond`;
+
+  const taskURI = await storePayload({
+    ...spec,
+    summary: task,
+    skills: skillArray,
+    postedBy: session.address,
+    timestamp: new Date().toISOString(),
+  }, { inline: args.inline, dryRun: tx.dryRun });
+
+  // One transaction when token and factory support EIP-2612 permits, else approve + create
+  const domain = args['no-permit'] ? null : await permitRoute(pub, token.address, CONTRACTS.BOUNTY_FACTORY, CREATE_WITH_PERMIT);
+  const createArgs = [token.address, amountWei, BigInt(deadlineTimestamp), taskURI, skillArray];
+  let approveTx = null;
+  let create;
+  if (domain && !tx.dryRun) {
+    log(`Signing ${token.symbol} permit for ${formatUnits(totalApproval, token.decimals)} (${bondNote})...`);
+    const p = await signPermit(pub, tx, domain, { owner: session.address, spender: CONTRACTS.BOUNTY_FACTORY, value: totalApproval });
+    create = { functionName: 'createBountyWithPermit', args: [...createArgs, p.deadline, p.v, p.r, p.s] };
+  } else {
+    // Step 1: ERC-20 approve (amount + poster bond), skipped when the allowance already covers it
+    log(`Approving ${formatUnits(totalApproval, token.decimals)} ${token.symbol} (${bondNote})...`);
+    approveTx = await ensureAllowance(pub, tx, {
+      token: token.address,
+      owner: session.address,
+      spender: CONTRACTS.BOUNTY_FACTORY,
+      amount: totalApproval,
+    });
+    create = { functionName: 'createBounty', args: createArgs };
+  }
+
+  // Step 2: Create bounty
+  log('Creating bounty...');
+  const { hash: createTx, receipt, result } = await tx.send({
+    label: 'Create',
+    address: CONTRACTS.BOUNTY_FACTORY,
+    abi: factoryAbi,
+    ...create,
+    movements: async () => [{
+      token: token.symbol,
+      amount: formatUnits(totalApproval, token.decimals),
+      from: session.address,
+      to: 'new bounty',
+    }],
+  });
+
+  if (tx.dryRun) {
+    output(tx.report({
+      expectedBountyAddress: result,
+      amount: `${amount} ${token.symbol}`,
+      bond: formatUnits(bondAmount, token.decimals) + ` ${token.symbol}`,
+      deadline: new Date(deadlineTimestamp * 1000).toISOString(),
+      taskURI,
+      // Simulation cannot use a permit without signing, so the approve path stands in for it
+      approval: domain ? 'permit (simulated as approve)' : 'approve',
+    }));
+    return;
+  }
+
+  const bountyAddress = createdBounty(receipt);
+
+  output({
+    ok: true,
+    bountyAddress,
+    amount: `${amount} ${token.symbol}`,
+    bond: formatUnits(bondAmount, token.decimals) + ` ${token.symbol}`,
+    deadline: new Date(deadlineTimestamp * 1000).toISOString(),
+    task,
+    spec,
+    taskURI,
+    skills: skillArray,
+    approval: domain ? 'permit' : 'approve',
+    approveTxHash: approveTx,
+    createTxHash: createTx,
+  });
+}
+
+/** Minimal RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line ends */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
   }
+  if (field !== '' || row.length > 0) rows.push([...row, field]);
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
 
-  output({ ok: true, bounties: filtered, total: filtered.length });
+/** Batch rows from a .csv (header row) or .json (array, or { bounties: [...] }) file */
+function loadBatchFile(file) {
+  const text = readFileSync(file, 'utf-8');
+  if (extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data?.bounties;
+    if (!Array.isArray(rows)) throw new Error(`${file}: expected an array of bounties or { "bounties": [...] }`);
+    return rows;
+  }
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error(`${file} is empty`);
+  // "task_file", "Task File" and "taskFile" all name the same column
+  const keys = header.map(h => h.trim().toLowerCase().replace(/[\s_-]/g, ''));
+  const names = { amount: 'amount', token: 'token', deadline: 'deadline', task: 'task', skills: 'skills', taskfile: 'taskFile' };
+  return lines.map(cells => Object.fromEntries(keys
+    .map((k, i) => [names[k] ?? k, (cells[i] ?? '').trim()])
+    .filter(([, v]) => v !== '')));
 }
 
-/** Decode common contract revert errors */
-function decodeRevertError(err) {
-  const msg = err.message || err.toString();
-  
-  // Known error signatures
-  const errorSignatures = {
-    '0xf924664d': 'InvalidStatus(currentStatus, requiredStatus) - Bounty not in Open state',
-    '0x4e487b71': 'Panic(uint256) - Internal contract panic',
-    '0x08c379a0': 'Error(string) - Generic revert with message',
-    'InsufficientAllowance': 'Insufficient token allowance for worker bond. Run with --approve-bond first',
-  };
-  
-  for (const [sig, desc] of Object.entries(errorSignatures)) {
-    if (msg.includes(sig)) return desc;
+/** Validate one batch row into what cmdPost would send; throws listing every problem */
+function parseBatchRow(raw, baseDir) {
+  const problems = [];
+  const attempt = (fn) => { try { return fn(); } catch (err) { problems.push(err.message); return null; } };
+
+  const token = attempt(() => resolveToken(raw.token || 'USDC'));
+  let amountWei = null;
+  if (raw.amount === undefined || !/^\d+(\.\d+)?$/.test(String(raw.amount)) || Number(raw.amount) <= 0) {
+    problems.push(`amount must be a positive number (got ${raw.amount ?? 'nothing'})`);
+  } else if (token) {
+    amountWei = attempt(() => parseUnits(String(raw.amount), token.decimals));
   }
-  
-  // Check for common patterns
-  if (msg.includes('ERC20:')) return `ERC20 Error: ${msg.match(/ERC20:[^\n]+/)?.[0] || 'Token transfer failed'}`;
-  if (msg.includes('reverted')) return `Contract reverted: ${msg.match(/reverted[^\n]*/)?.[0] || 'Unknown reason'}`;
-  
-  return msg;
+  let deadline = null;
+  if (!raw.deadline) problems.push('deadline is required');
+  else deadline = attempt(() => parseDeadline(String(raw.deadline)));
+  if (deadline !== null && deadline <= Math.floor(Date.now() / 1000)) problems.push(`deadline ${raw.deadline} is in the past`);
+
+  const skills = Array.isArray(raw.skills)
+    ? raw.skills.map(String).map(t => t.trim()).filter(Boolean)
+    : String(raw.skills ?? '').split(/[;,]/).map(t => t.trim()).filter(Boolean);
+
+  let spec = null;
+  if (raw.taskFile && raw.task) problems.push('use either task or taskFile, not both');
+  else if (raw.taskFile) spec = attempt(() => loadTaskSpec(resolve(baseDir, String(raw.taskFile))));
+  else if (!raw.task || !String(raw.task).trim()) problems.push('task (or taskFile) is required');
+
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return { token, amountWei, deadline, skills, spec, task: spec ? spec.title : String(raw.task) };
 }
 
-async function cmdClaim(args) {
+async function cmdPostBatch(args) {
   const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
-  const skipApproval = args['skip-approval'] || false;
+  const file = args.file || args._positional;
+  if (!file || file === true) {
+    output({ ok: false, error: 'Required: --file tasks.csv|tasks.json' });
+    return;
+  }
 
-  if (!bountyAddress || !isAddress(bountyAddress)) {
-    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+  // Validate every row before anything is signed or sent
+  const rows = loadBatchFile(file).map((raw, i) => {
+    try {
+      return { row: i + 1, ...parseBatchRow(raw, dirname(resolve(file))) };
+    } catch (err) {
+      return { row: i + 1, invalid: err.message };
+    }
+  });
+  if (rows.length === 0) {
+    output({ ok: false, error: `${file} has no rows` });
+    return;
+  }
+  const invalid = rows.filter(r => r.invalid).map(r => ({ row: r.row, error: r.invalid }));
+  if (invalid.length > 0 && !args['skip-invalid']) {
+    output({ ok: false, error: `${invalid.length} of ${rows.length} row(s) are invalid; fix them or pass --skip-invalid`, invalid });
     return;
   }
+  const valid = rows.filter(r => !r.invalid);
 
+  // Escrow plus poster bond, per token, at the factory's bond rate (read once for the batch)
   const pub = getPublicClient();
-  const agentId = await getAgentIdForAddress(pub, session.address);
+  const bondRate = await pub.readContract({ address: CONTRACTS.BOUNTY_FACTORY, abi: factoryAbi, functionName: 'bondRate' });
+  for (const r of valid) r.bond = (r.amountWei * bondRate) / 10000n;
+  const totals = {};
+  for (const r of valid) {
+    const t = totals[r.token.symbol] ??= { token: r.token, escrow: 0n, bonds: 0n };
+    t.escrow += r.amountWei;
+    t.bonds += r.bond;
+  }
 
-  if (agentId === null) {
-    output({ ok: false, error: 'Not registered as an agent. Run "register" first.' });
+  // On --resume the rows that already landed have spent their share, so only the sends can tell
+  const balances = args.resume ? [] : await readMany(pub, Object.values(totals).map(t => ({
+    address: t.token.address, abi: erc20Abi, functionName: 'balanceOf', args: [session.address],
+  })));
+  const short = balances.length === 0 ? [] : Object.values(totals)
+    .map((t, i) => ({ t, balance: balances[i].status === 'success' ? balances[i].result : 0n }))
+    .filter(({ t, balance }) => balance < t.escrow + t.bonds)
+    .map(({ t, balance }) => `${t.token.symbol}: need ${formatUnits(t.escrow + t.bonds, t.token.decimals)}, have ${formatUnits(balance, t.token.decimals)}`);
+  if (short.length > 0) {
+    output({ ok: false, error: `Insufficient balance for the batch (${short.join('; ')})` });
     return;
   }
 
-  // Pre-check: verify bounty is Open and not own bounty
-  try {
-    const status = await pub.readContract({
-      address: bountyAddress,
-      abi: bountyAbi,
-      functionName: 'status',
+  const tx = createTxRunner(session, args);
+
+  // One approval per token for the whole batch
+  const approvals = {};
+  for (const t of Object.values(totals)) {
+    const total = t.escrow + t.bonds;
+    log(`Approving ${formatUnits(total, t.token.decimals)} ${t.token.symbol} for ${valid.filter(r => r.token.symbol === t.token.symbol).length} bounties...`);
+    approvals[t.token.symbol] = await ensureAllowance(pub, tx, {
+      token: t.token.address,
+      owner: session.address,
+      spender: CONTRACTS.BOUNTY_FACTORY,
+      amount: total,
     });
-    
-    if (Number(status) !== 0) {
-      const statusName = BOUNTY_STATUS[Number(status)] || `Unknown(${status})`;
-      output({ 
-        ok: false, 
-        error: `Cannot claim: Bounty status is "${statusName}" (expected "Open"). Only Open bounties can be claimed.`,
-        status: Number(status),
-        statusName,
+  }
+
+  // Create each bounty; a failed row is reported and the batch carries on
+  const results = invalid.map(r => ({ row: r.row, ok: false, stage: 'validate', error: r.error }));
+  for (const r of valid) {
+    const amount = `${formatUnits(r.amountWei, r.token.decimals)} ${r.token.symbol}`;
+    try {
+      const taskURI = await storePayload({
+        ...r.spec,
+        summary: r.task,
+        skills: r.skills,
+        postedBy: session.address,
+        timestamp: new Date().toISOString(),
+      }, { inline: args.inline, dryRun: tx.dryRun });
+      log(`Creating bounty ${r.row}/${rows.length}: ${firstLine(r.task)}`);
+      // The row number keeps the journal step stable across --resume
+      const sent = await tx.send({
+        label: `Create row ${r.row}`,
+        address: CONTRACTS.BOUNTY_FACTORY,
+        abi: factoryAbi,
+        functionName: 'createBounty',
+        args: [r.token.address, r.amountWei, BigInt(r.deadline), taskURI, r.skills],
+        movements: async () => [{ token: r.token.symbol, amount: formatUnits(r.amountWei + r.bond, r.token.decimals), from: session.address, to: 'new bounty' }],
       });
-      return;
+      const base = { row: r.row, task: r.task, amount, deadline: new Date(r.deadline * 1000).toISOString() };
+      if (tx.dryRun) results.push({ ...base, ok: sent.ok, expectedBountyAddress: sent.result ?? null });
+      else if (!sent.ok) results.push({ ...base, ok: false, stage: 'create', error: `reverted in ${sent.hash}` });
+      else results.push({ ...base, ok: true, bountyAddress: createdBounty(sent.receipt), txHash: sent.hash });
+    } catch (err) {
+      results.push({ row: r.row, task: r.task, amount, ok: false, stage: 'create', error: decodeRevertError(err) });
     }
+  }
+  results.sort((a, b) => a.row - b.row);
+
+  const summary = {
+    rows: rows.length,
+    created: results.filter(r => r.ok).length,
+    failed: results.filter(r => !r.ok).length,
+    totals: Object.fromEntries(Object.values(totals).map(t => [t.token.symbol, {
+      escrow: formatUnits(t.escrow, t.token.decimals),
+      bonds: formatUnits(t.bonds, t.token.decimals),
+      total: formatUnits(t.escrow + t.bonds, t.token.decimals),
+      approveTxHash: approvals[t.token.symbol],
+    }])),
+    results,
+  };
+  if (tx.dryRun) {
+    output(tx.report(summary));
+    return;
+  }
+  output({ ok: summary.failed === 0, ...summary });
+}
 
-    const poster = await pub.readContract({
-      address: bountyAddress,
-      abi: bountyAbi,
-      functionName: 'poster',
-    });
+async function cmdProfile(args) {
+  const session = loadSession() ?? envSession();
+  const address = args.address || args._positional || session?.address;
 
-    if (poster.toLowerCase() === session.address.toLowerCase()) {
-      output({
-        ok: false,
-        error: 'Cannot claim: You cannot claim your own bounty.',
-        suggestion: 'This bounty was posted by your wallet. Only other agents can claim it.',
-      });
-      return;
-    }
-  } catch (statusErr) {
-    log(`Warning: Could not verify bounty status: ${statusErr.message}`);
+  if (!address) {
+    output({ ok: false, error: 'No address. Provide --address or run setup first.' });
+    return;
   }
 
-  // Optional: Handle worker bond approval
-  if (!skipApproval) {
-    try {
-      const token = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'token' });
-      const workerBond = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'workerBond' });
-      
-      if (workerBond > 0n) {
-        const tokenSym = tokenSymbolByAddress(token);
-        log(`Note: This bounty requires a worker bond of ${formatUnits(workerBond, TOKENS[tokenSym]?.decimals || 18)} ${tokenSym}`);
-        log(`If claim fails, run with --approve-bond to approve the bond first.`);
-      }
-    } catch {
-      // Non-critical, continue
-    }
+  const pub = getPublicClient();
+  const index = await indexForRead(pub, args);
+
+  // Find agent ID via Register events
+  const agentId = await getAgentIdForAddress(pub, address);
+
+  if (agentId === null) {
+    output({ ok: true, registered: false, address, message: 'Not registered as an agent.' });
+    return;
   }
 
-  const wallet = getWalletClient(session);
+  const tokenURI = await pub.readContract({
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'tokenURI',
+    args: [agentId],
+  });
+
+  const metadata = parseDataURI(tokenURI);
 
-  log(`Claiming bounty ${shortAddr(bountyAddress)} as agent #${agentId}...`);
-  
+  // Get reputation summary
+  let reputation = null;
   try {
-    const hash = await wallet.writeContract({
-      address: bountyAddress,
-      abi: bountyAbi,
-      functionName: 'claim',
-      args: [agentId],
+    const [count, value, decimals] = await pub.readContract({
+      address: CONTRACTS.REPUTATION_REGISTRY,
+      abi: reputationAbi,
+      functionName: 'getSummary',
+      args: [agentId, [], '', ''],
     });
+    reputation = {
+      feedbackCount: count.toString(),
+      totalValue: value.toString(),
+      decimals: Number(decimals),
+    };
+  } catch { /* no reputation yet */ }
 
-    log(`Tx: ${hash}`);
-    log('Waiting for confirmation...');
-    const receipt = await pub.waitForTransactionReceipt({ hash });
+  // Marketplace activity from the local index
+  const lower = address.toLowerCase();
+  const mine = Object.values(index.bounties);
+  const claimed = mine.filter(b => b.claimer?.toLowerCase() === lower);
+  const activity = {
+    posted: mine.filter(b => b.poster.toLowerCase() === lower).length,
+    claimed: claimed.length,
+    completed: claimed.filter(b => b.status === 3).length,
+    rejected: claimed.filter(b => b.rejectionCount > 0).length,
+  };
 
-    output({
-      ok: true,
-      txHash: hash,
-      blockNumber: receipt.blockNumber.toString(),
-      bountyAddress,
-      agentId: agentId.toString(),
-    });
-  } catch (err) {
-    const decoded = decodeRevertError(err);
-    output({
-      ok: false,
-      error: `Claim failed: ${decoded}`,
-      suggestion: decoded.includes('InvalidStatus') 
-        ? 'The bounty may have been claimed by someone else, or is no longer Open. Run "browse --all" to check current status.'
-        : decoded.includes('Allowance')
-        ? 'Run with --approve-bond flag to approve the worker bond first.'
-        : 'Check the bounty status and try again.',
-      rawError: err.message,
-    });
+  output({
+    ok: true,
+    registered: true,
+    address,
+    agentId: agentId.toString(),
+    name: metadata?.name || null,
+    description: metadata?.description || null,
+    skills: metadata?.skills || [],
+    image: metadata?.image || null,
+    services: metadata?.services || [],
+    reputation,
+    activity,
+    tokenURI,
+  });
+}
+
+/** Resolve --agent as a numeric agent ID or an owner address (default: the session's agent) */
+async function resolveAgentId(pub, agent) {
+  if (agent === undefined || agent === true) {
+    const session = loadSession() ?? envSession();
+    return session ? getAgentIdForAddress(pub, session.address) : null;
   }
+  const value = String(agent);
+  if (/^\d+$/.test(value)) return BigInt(value);
+  if (isAddress(value, { strict: false })) return getAgentIdForAddress(pub, value);
+  throw new Error(`--agent must be an agent ID or address, got: ${value}`);
 }
 
-async function cmdSubmit(args) {
-  const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
-  const proof = args.proof;
+function averageOf(entries) {
+  if (entries.length === 0) return null;
+  const total = entries.reduce((sum, f) => sum + Number(formatUnits(BigInt(f.value), f.valueDecimals)), 0);
+  return Math.round((total / entries.length) * 100) / 100;
+}
 
-  if (!bountyAddress || !proof) {
-    output({ ok: false, error: 'Required: --bounty 0xAddress --proof "URL or description"' });
+async function cmdReputation(args) {
+  const pub = getPublicClient();
+  const agentId = await resolveAgentId(pub, args.agent || args._positional);
+  if (agentId === null) {
+    output({ ok: false, error: 'No agent found. Provide --agent <id|address> or register first.' });
     return;
   }
 
-  // If proof is a URL, use as-is. Otherwise encode as data URI.
-  let proofURI;
-  if (proof.startsWith('http://') || proof.startsWith('https://') || proof.startsWith('ipfs://')) {
-    proofURI = proof;
-  } else {
-    proofURI = toDataURI({
-      proof,
-      submittedBy: session.address,
-      timestamp: new Date().toISOString(),
+  // Same filters as getSummary: client addresses plus optional tag1/tag2
+  const clients = args.clients ? String(args.clients).split(',').map(c => c.trim()).filter(Boolean) : [];
+  const bad = clients.filter(c => !isAddress(c, { strict: false }));
+  if (bad.length > 0) {
+    output({ ok: false, error: `Invalid client address: ${bad.join(', ')}` });
+    return;
+  }
+  const tag1 = args.tag1 && args.tag1 !== true ? String(args.tag1) : '';
+  const tag2 = args.tag2 && args.tag2 !== true ? String(args.tag2) : '';
+
+  const index = await indexForRead(pub, args);
+  const revoked = new Set(index.revokedFeedback);
+  const clientSet = new Set(clients.map(c => c.toLowerCase()));
+
+  const entries = index.feedback
+    .filter(f => f.agentId === agentId.toString())
+    .filter(f => clientSet.size === 0 || clientSet.has(f.client.toLowerCase()))
+    .filter(f => (!tag1 || f.tag1 === tag1) && (!tag2 || f.tag2 === tag2))
+    .sort(compareEvents)
+    .map(f => {
+      const data = parseDataURI(f.feedbackURI || '');
+      const approval = index.events.find(e => e.txHash === f.txHash && e.event === 'BountyApproved');
+      return {
+        rating: Number(formatUnits(BigInt(f.value), f.valueDecimals)),
+        value: f.value,
+        valueDecimals: f.valueDecimals,
+        tags: [f.tag1, f.tag2].filter(Boolean),
+        client: f.client,
+        comment: data?.comment || null,
+        bountyAddress: data?.bountyAddress || approval?.address || null,
+        feedbackURI: data ? null : (f.feedbackURI || null),
+        feedbackIndex: f.feedbackIndex,
+        revoked: revoked.has(feedbackKey(f.agentId, f.client, f.feedbackIndex)),
+        blockNumber: f.blockNumber,
+        txHash: f.txHash,
+      };
+    });
+
+  const active = entries.filter(e => e.revoked === false);
+  const byTag = {};
+  for (const e of active) {
+    for (const tag of e.tags) (byTag[tag] ??= []).push(e);
+  }
+  const tagBreakdown = Object.fromEntries(Object.entries(byTag).map(([tag, list]) => [
+    tag,
+    { count: list.length, average: averageOf(list) },
+  ]));
+
+  let summary = null;
+  try {
+    const [count, value, decimals] = await pub.readContract({
+      address: CONTRACTS.REPUTATION_REGISTRY,
+      abi: reputationAbi,
+      functionName: 'getSummary',
+      args: [agentId, clients, tag1, tag2],
     });
+    summary = {
+      count: count.toString(),
+      value: value.toString(),
+      decimals: Number(decimals),
+      normalized: Number(formatUnits(value, Number(decimals))),
+    };
+  } catch { /* registry without a summary for this agent */ }
+
+  const result = {
+    ok: true,
+    agentId: agentId.toString(),
+    filters: { clients, tag1: tag1 || null, tag2: tag2 || null },
+    count: active.length,
+    revoked: entries.length - active.length,
+    average: averageOf(active),
+    byTag: tagBreakdown,
+    summary,
+    feedback: entries,
+  };
+  if (summary && Number(summary.count) > active.length) {
+    result.warning = `The registry reports ${summary.count} feedback entries but the index has ${active.length}; run sync, or check for failed ranges`;
   }
+  output(result);
+}
+
+/** The agentWallet service endpoint, e.g. "eip155:8453:0xabc..." -> its address */
+function walletFromServices(services) {
+  const endpoint = (services || []).find(s => s?.type === 'agentWallet')?.endpoint;
+  return typeof endpoint === 'string' ? endpoint.split(':').pop() : null;
+}
+
+/**
+ * Current profile metadata for indexed agents, from tokenURI rather than the
+ * Register event's URI so update-profile changes show up. Falls back to the
+ * event's URI when tokenURI can't be read; {} when neither is a data URI.
+ */
+async function currentProfiles(pub, agents) {
+  const uris = await readMany(pub, agents.map(a => ({
+    address: CONTRACTS.IDENTITY_REGISTRY,
+    abi: identityAbi,
+    functionName: 'tokenURI',
+    args: [BigInt(a.agentId)],
+  })));
+  return agents.map((a, i) => parseDataURI(uris[i].status === 'success' ? uris[i].result : a.agentURI || '') || {});
+}
 
-  const wallet = getWalletClient(session);
+async function cmdAgents(args) {
   const pub = getPublicClient();
+  const index = await indexForRead(pub, args);
+  const registered = Object.values(index.agents);
+  const profiles = await currentProfiles(pub, registered);
+
+  const revoked = new Set(index.revokedFeedback);
+  const ratings = {};
+  for (const f of index.feedback) {
+    if (revoked.has(feedbackKey(f.agentId, f.client, f.feedbackIndex))) continue;
+    (ratings[f.agentId] ??= []).push(f);
+  }
 
-  log(`Submitting work to ${shortAddr(bountyAddress)}...`);
-  const hash = await wallet.writeContract({
-    address: bountyAddress,
-    abi: bountyAbi,
-    functionName: 'submitWork',
-    args: [proofURI],
+  let agents = registered.map((a, i) => {
+    const meta = profiles[i];
+    return {
+      agentId: a.agentId,
+      owner: a.owner,
+      name: meta.name || null,
+      wallet: walletFromServices(meta.services) || a.owner,
+      skills: Array.isArray(meta.skills) ? meta.skills : [],
+      active: meta.active !== false,
+      averageRating: averageOf(ratings[a.agentId] || []),
+      feedbackCount: (ratings[a.agentId] || []).length,
+      registeredBlock: a.blockNumber,
+    };
   });
 
-  log(`Tx: ${hash}`);
-  log('Waiting for confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash });
+  if (args.skill) {
+    const wanted = parseSkills(String(args.skill).toLowerCase());
+    agents = agents.filter(a => wanted.every(w => a.skills.some(s => s.toLowerCase().includes(w))));
+  }
+  if (args.name) {
+    const needle = String(args.name).toLowerCase();
+    agents = agents.filter(a => a.name?.toLowerCase().includes(needle));
+  }
+  if (args.active !== undefined) {
+    const active = String(args.active) !== 'false';
+    agents = agents.filter(a => a.active === active);
+  }
+  if (args['min-rating']) {
+    const min = parseFloat(args['min-rating']);
+    agents = agents.filter(a => a.averageRating !== null && a.averageRating >= min);
+  }
+  if (args['min-feedback']) {
+    agents = agents.filter(a => a.feedbackCount >= parseInt(args['min-feedback']));
+  }
 
+  // Best-rated first, then most reviewed, then newest
+  agents.sort((a, b) =>
+    ((b.averageRating ?? -1) - (a.averageRating ?? -1)) ||
+    (b.feedbackCount - a.feedbackCount) ||
+    Number(BigInt(b.registeredBlock) - BigInt(a.registeredBlock))
+  );
+
+  const total = agents.length;
   output({
     ok: true,
-    txHash: hash,
-    blockNumber: receipt.blockNumber.toString(),
-    bountyAddress,
-    proofURI,
+    agents: agents.slice(0, parseInt(args.limit || '50')),
+    total,
+    syncedToBlock: index.lastSyncedBlock,
   });
 }
 
-async function cmdApprove(args) {
-  const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
+const LEADERBOARD_SORTS = ['completed', 'approval', 'rating', 'earned'];
 
-  if (!bountyAddress) {
-    output({ ok: false, error: 'Required: --bounty 0xAddress' });
+/** Parse --since ("30 days" ago, or a date) into a unix timestamp */
+function parseSince(str) {
+  const seconds = parseDuration(str);
+  if (seconds !== null) return Math.floor(Date.now() / 1000) - seconds;
+  const d = new Date(str);
+  if (!isNaN(d.getTime())) return Math.floor(d.getTime() / 1000);
+  throw new Error(`Invalid --since: ${str}. Use a duration like "30 days" or a date.`);
+}
+
+/** First block at or after a timestamp, by binary search between the deployment block and head */
+async function blockAtTime(pub, timestamp, head) {
+  let lo = BOUNTY_FIRST_BLOCK;
+  let hi = head;
+  if ((await pub.getBlock({ blockNumber: hi })).timestamp < BigInt(timestamp)) return hi + 1n;
+  while (lo < hi) {
+    const mid = (lo + hi) / 2n;
+    const { timestamp: ts } = await pub.getBlock({ blockNumber: mid });
+    if (ts < BigInt(timestamp)) lo = mid + 1n;
+    else hi = mid;
+  }
+  return lo;
+}
+
+async function cmdLeaderboard(args) {
+  const sort = args.sort || 'completed';
+  if (!LEADERBOARD_SORTS.includes(sort)) {
+    output({ ok: false, error: `--sort must be one of: ${LEADERBOARD_SORTS.join(', ')}` });
+    return;
+  }
+  const sortToken = args.token ? String(args.token).toUpperCase() : null;
+  if (sort === 'earned' && !sortToken) {
+    output({ ok: false, error: '--sort earned needs --token <symbol> (earnings are not comparable across tokens)' });
     return;
   }
 
-  const wallet = getWalletClient(session);
   const pub = getPublicClient();
-  const rating = parseInt(args.rating || '0');
-  let hash;
-
-  if (rating > 0) {
-    // Approve with reputation feedback
-    const comment = args.comment || '';
-    const feedbackData = {
-      rating,
-      comment,
-      bountyAddress,
-      timestamp: new Date().toISOString(),
-    };
-    const feedbackURI = toDataURI(feedbackData);
-    const feedbackHash = keccak256(stringToHex(feedbackURI));
-
-    log(`Approving with ${rating}/5 rating...`);
-    hash = await wallet.writeContract({
-      address: bountyAddress,
-      abi: bountyAbi,
-      functionName: 'approveWithFeedback',
-      args: [BigInt(rating), 0, 'bounty', 'completed', '', feedbackURI, feedbackHash],
-    });
-  } else {
-    log('Approving work (no rating)...');
-    hash = await wallet.writeContract({
-      address: bountyAddress,
-      abi: bountyAbi,
-      functionName: 'approve',
-    });
+  const index = await indexForRead(pub, args);
+  const head = BigInt(index.lastSyncedBlock ?? BOUNTY_FIRST_BLOCK);
+  const fromBlock = args.since ? await blockAtTime(pub, parseSince(args.since), head) : BOUNTY_FIRST_BLOCK;
+  const skill = args.skill ? String(args.skill).toLowerCase() : null;
+
+  const rows = new Map();
+  const row = (agentId, address) => {
+    if (!rows.has(agentId)) {
+      const agent = index.agents[agentId];
+      rows.set(agentId, {
+        agentId,
+        address: agent?.owner || address,
+        claimed: 0,
+        completed: 0,
+        rejections: 0,
+        earned: {},
+        ratings: [],
+      });
+    }
+    return rows.get(agentId);
+  };
+
+  // One pass over the lifecycle events in the window; the claimer comes from the bounty's replayed state
+  for (const e of [...index.events].sort(compareEvents)) {
+    if (BigInt(e.blockNumber) < fromBlock) continue;
+    const bounty = index.bounties[e.bounty];
+    if (!bounty?.claimerAgentId) continue;
+    if (skill && !bounty.skillTags.some(t => t.toLowerCase().includes(skill))) continue;
+
+    if (e.event === 'BountyClaimed') {
+      row(e.args.agentId, e.args.claimer).claimed++;
+    } else if (e.event === 'BountyApproved') {
+      const r = row(bounty.claimerAgentId, bounty.claimer);
+      const sym = tokenSymbolByAddress(bounty.token);
+      r.completed++;
+      r.earned[sym] = (r.earned[sym] ?? 0n) + BigInt(bounty.amount);
+    } else if (e.event === 'BountyRejected') {
+      row(bounty.claimerAgentId, bounty.claimer).rejections++;
+    }
   }
 
-  log(`Tx: ${hash}`);
-  log('Waiting for confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash });
+  // Ratings in the window; --skill narrows them to feedback left on matching bounties
+  const revoked = new Set(index.revokedFeedback);
+  for (const f of index.feedback) {
+    if (BigInt(f.blockNumber) < fromBlock || !rows.has(f.agentId)) continue;
+    if (revoked.has(feedbackKey(f.agentId, f.client, f.feedbackIndex))) continue;
+    if (skill) {
+      const bountyAddress = parseDataURI(f.feedbackURI || '')?.bountyAddress;
+      const bounty = bountyAddress && index.bounties[bountyAddress.toLowerCase()];
+      if (!bounty || !bounty.skillTags.some(t => t.toLowerCase().includes(skill))) continue;
+    }
+    rows.get(f.agentId).ratings.push(f);
+  }
+
+  // Names from the current profile, as `agents` shows them
+  const ranked = [...rows.values()];
+  const profiles = await currentProfiles(pub, ranked.map(r => index.agents[r.agentId] || { agentId: r.agentId }));
+
+  let agents = ranked.map((r, i) => {
+    const decided = r.completed + r.rejections;
+    return {
+      agentId: r.agentId,
+      address: r.address,
+      name: profiles[i].name || null,
+      claimed: r.claimed,
+      completed: r.completed,
+      rejections: r.rejections,
+      approvalRate: decided > 0 ? Math.round((r.completed / decided) * 1000) / 1000 : null,
+      averageRating: averageOf(r.ratings),
+      ratings: r.ratings.length,
+      earned: Object.fromEntries(Object.entries(r.earned).map(([sym, amount]) =>
+        [sym, formatUnits(amount, TOKENS[sym]?.decimals ?? 18)])),
+    };
+  });
+
+  const key = {
+    completed: a => a.completed,
+    approval: a => a.approvalRate ?? -1,
+    rating: a => a.averageRating ?? -1,
+    earned: a => Number(a.earned[sortToken] ?? 0),
+  }[sort];
+  agents.sort((a, b) =>
+    (key(b) - key(a)) || (b.completed - a.completed) || ((b.averageRating ?? -1) - (a.averageRating ?? -1))
+  );
+
+  const total = agents.length;
+  agents = agents.slice(0, parseInt(args.limit || '20'));
+
+  // All-time registry summaries for the agents shown
+  const summaries = await readMany(pub, agents.map(a => ({
+    address: CONTRACTS.REPUTATION_REGISTRY,
+    abi: reputationAbi,
+    functionName: 'getSummary',
+    args: [BigInt(a.agentId), [], '', ''],
+  })));
+  agents.forEach((a, i) => {
+    const s = summaries[i];
+    a.rank = i + 1;
+    a.reputation = s.status === 'success'
+      ? { feedbackCount: s.result[0].toString(), summary: Number(formatUnits(s.result[1], Number(s.result[2]))) }
+      : null;
+  });
 
   output({
     ok: true,
-    txHash: hash,
-    blockNumber: receipt.blockNumber.toString(),
-    bountyAddress,
-    rating: rating || 'none',
+    sort,
+    filters: { skill: args.skill || null, since: args.since || null, fromBlock: fromBlock.toString() },
+    agents,
+    total,
+    syncedToBlock: index.lastSyncedBlock,
   });
 }
 
-async function cmdReject(args) {
-  const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
+async function cmdBalances(args) {
+  const session = loadSession() ?? envSession();
+  const address = args.address || args._positional || session?.address;
 
-  if (!bountyAddress) {
-    output({ ok: false, error: 'Required: --bounty 0xAddress' });
+  if (!address || !isAddress(address)) {
+    output({ ok: false, error: 'No address. Provide --address or run setup first.' });
     return;
   }
 
-  const wallet = getWalletClient(session);
   const pub = getPublicClient();
-
-  log(`Rejecting work at ${shortAddr(bountyAddress)}...`);
-  const hash = await wallet.writeContract({
-    address: bountyAddress,
-    abi: bountyAbi,
-    functionName: 'reject',
+  const symbols = Object.keys(TOKENS);
+  const [eth, results] = await Promise.all([
+    pub.getBalance({ address }),
+    readMany(pub, symbols.map(sym => ({
+      address: TOKENS[sym].address,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [address],
+    }))),
+  ]);
+
+  const balances = { ETH: formatUnits(eth, 18) };
+  symbols.forEach((sym, i) => {
+    balances[sym] = results[i].status === 'success'
+      ? formatUnits(results[i].result, TOKENS[sym].decimals)
+      : null;
   });
 
-  log(`Tx: ${hash}`);
-  log('Waiting for confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash });
-
-  output({
-    ok: true,
-    txHash: hash,
-    blockNumber: receipt.blockNumber.toString(),
-    bountyAddress,
-  });
+  output({ ok: true, address, balances });
 }
 
-async function cmdCancel(args) {
+async function cmdWrap(args) {
   const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
-
-  if (!bountyAddress) {
-    output({ ok: false, error: 'Required: --bounty 0xAddress' });
+  if (!args.amount) {
+    output({ ok: false, error: 'Required: --amount <ETH>' });
+    return;
+  }
+  if (!TOKENS.WETH) {
+    output({ ok: false, error: `No WETH token configured for network ${NETWORK.name}` });
     return;
   }
 
-  const wallet = getWalletClient(session);
+  const value = parseUnits(args.amount, 18);
   const pub = getPublicClient();
+  const balance = await pub.getBalance({ address: session.address });
+  if (balance < value) {
+    output({ ok: false, error: `Insufficient ETH: have ${formatUnits(balance, 18)}, need ${args.amount}` });
+    return;
+  }
 
-  log(`Cancelling bounty ${shortAddr(bountyAddress)}...`);
-  const hash = await wallet.writeContract({
-    address: bountyAddress,
-    abi: bountyAbi,
-    functionName: 'cancel',
+  const tx = createTxRunner(session, args);
+  log(`Wrapping ${args.amount} ETH to WETH...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Wrap',
+    address: TOKENS.WETH.address,
+    abi: wethAbi,
+    functionName: 'deposit',
+    value,
+    movements: async () => [{ token: 'ETH', amount: args.amount, from: session.address, to: 'WETH' }],
   });
 
-  log(`Tx: ${hash}`);
-  log('Waiting for confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash });
+  if (tx.dryRun) {
+    output(tx.report({ wrapped: `${args.amount} ETH` }));
+    return;
+  }
 
-  output({
-    ok: true,
-    txHash: hash,
-    blockNumber: receipt.blockNumber.toString(),
-    bountyAddress,
-  });
+  output({ ok: true, txHash: hash, blockNumber: receipt.blockNumber.toString(), wrapped: `${args.amount} ETH` });
 }
 
-async function cmdApproveBond(args) {
+async function cmdUnwrap(args) {
   const session = requireSession();
-  const bountyAddress = args.bounty || args._positional;
-  const amount = args.amount;
-
-  if (!bountyAddress || !isAddress(bountyAddress)) {
-    output({ ok: false, error: 'Required: --bounty 0xBountyAddress' });
+  if (!args.amount) {
+    output({ ok: false, error: 'Required: --amount <WETH>' });
+    return;
+  }
+  if (!TOKENS.WETH) {
+    output({ ok: false, error: `No WETH token configured for network ${NETWORK.name}` });
     return;
   }
 
+  const amount = parseUnits(args.amount, 18);
   const pub = getPublicClient();
-  
-  // Get bounty details
-  let token, workerBond;
-  try {
-    token = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'token' });
-    workerBond = await pub.readContract({ address: bountyAddress, abi: bountyAbi, functionName: 'workerBond' });
-  } catch (err) {
-    output({ ok: false, error: `Failed to read bounty details: ${err.message}` });
+  const balance = await pub.readContract({
+    address: TOKENS.WETH.address,
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [session.address],
+  });
+  if (balance < amount) {
+    output({ ok: false, error: `Insufficient WETH: have ${formatUnits(balance, 18)}, need ${args.amount}` });
     return;
   }
 
-  const tokenSym = tokenSymbolByAddress(token);
-  const tokenInfo = TOKENS[tokenSym] || { decimals: 18 };
-  
-  // Use provided amount or default to workerBond
-  const approveAmount = amount ? parseUnits(amount, tokenInfo.decimals) : workerBond;
-  
-  log(`Approving ${formatUnits(approveAmount, tokenInfo.decimals)} ${tokenSym} for worker bond on bounty ${shortAddr(bountyAddress)}...`);
-  
-  const wallet = getWalletClient(session);
-  
-  try {
-    const hash = await wallet.writeContract({
-      address: token,
-      abi: erc20Abi,
-      functionName: 'approve',
-      args: [bountyAddress, approveAmount],
-    });
-
-    log(`Approve tx: ${hash}`);
-    log('Waiting for confirmation...');
-    const receipt = await pub.waitForTransactionReceipt({ hash });
+  const tx = createTxRunner(session, args);
+  log(`Unwrapping ${args.amount} WETH to ETH...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Unwrap',
+    address: TOKENS.WETH.address,
+    abi: wethAbi,
+    functionName: 'withdraw',
+    args: [amount],
+    movements: async () => [{ token: 'WETH', amount: args.amount, from: session.address, to: 'ETH' }],
+  });
 
-    output({
-      ok: true,
-      txHash: hash,
-      blockNumber: receipt.blockNumber.toString(),
-      bountyAddress,
-      token: tokenSym,
-      amount: formatUnits(approveAmount, tokenInfo.decimals),
-      note: 'You can now claim this bounty with --skip-approval',
-    });
-  } catch (err) {
-    output({
-      ok: false,
-      error: `Approval failed: ${decodeRevertError(err)}`,
-      rawError: err.message,
-    });
+  if (tx.dryRun) {
+    output(tx.report({ unwrapped: `${args.amount} WETH` }));
+    return;
   }
+
+  output({ ok: true, txHash: hash, blockNumber: receipt.blockNumber.toString(), unwrapped: `${args.amount} WETH` });
 }
 
-async function cmdPost(args) {
+async function cmdTransfer(args) {
   const session = requireSession();
-  const { amount, token: tokenSymbol, deadline, task, skills } = args;
+  const { to, amount } = args;
+  const symbol = (args.token || '').toUpperCase();
 
-  if (!amount || !deadline || !task) {
-    output({ ok: false, error: 'Required: --amount 50 --deadline "3 days" --task "Description of work"' });
+  if (!symbol || !amount || !to || !isAddress(to)) {
+    output({ ok: false, error: 'Required: --token <ETH|USDC|...> --to 0xAddress --amount <n>' });
     return;
   }
 
-  const token = resolveToken(tokenSymbol);
-  const amountWei = parseUnits(amount, token.decimals);
-  const deadlineTimestamp = parseDeadline(deadline);
-  const skillArray = skills ? skills.split(',').map(s => s.trim()) : [];
+  const pub = getPublicClient();
+  const tx = createTxRunner(session, args);
+  const movements = async () => [{ token: symbol, amount, from: session.address, to }];
+  let sent;
+
+  if (symbol === 'ETH') {
+    const value = parseUnits(amount, 18);
+    const balance = await pub.getBalance({ address: session.address });
+    if (balance < value) {
+      output({ ok: false, error: `Insufficient ETH: have ${formatUnits(balance, 18)}, need ${amount}` });
+      return;
+    }
+    log(`Sending ${amount} ETH to ${shortAddr(to)}...`);
+    sent = await tx.send({ label: 'Transfer', address: to, value, movements });
+  } else {
+    const token = resolveToken(symbol);
+    const value = parseUnits(amount, token.decimals);
+    const balance = await pub.readContract({
+      address: token.address,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [session.address],
+    });
+    if (balance < value) {
+      output({ ok: false, error: `Insufficient ${token.symbol}: have ${formatUnits(balance, token.decimals)}, need ${amount}` });
+      return;
+    }
+    log(`Sending ${amount} ${token.symbol} to ${shortAddr(to)}...`);
+    sent = await tx.send({
+      label: 'Transfer',
+      address: token.address,
+      abi: erc20Abi,
+      functionName: 'transfer',
+      args: [to, value],
+      movements,
+    });
+  }
 
-  // Bond rate is 10% (1000 basis points)
-  const bondAmount = (amountWei * 1000n) / 10000n;
-  const totalApproval = amountWei + bondAmount;
+  if (tx.dryRun) {
+    output(tx.report({ token: symbol, amount, to }));
+    return;
+  }
+  const { hash, receipt } = sent;
 
-  const taskURI = toDataURI({
-    summary: task,
-    skills: skillArray,
-    postedBy: session.address,
-    timestamp: new Date().toISOString(),
+  output({
+    ok: true,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    token: symbol,
+    amount,
+    to,
   });
+}
 
-  const wallet = getWalletClient(session);
-  const pub = getPublicClient();
+async function cmdAllowance(args) {
+  const session = loadSession() ?? envSession();
+  const { spender } = args;
+  const owner = args.owner || session?.address;
+
+  if (!args.token || !spender || !isAddress(spender) || !owner) {
+    output({ ok: false, error: 'Required: --token <USDC|...> --spender 0xAddress [--owner 0xAddress] [--set <n>]' });
+    return;
+  }
 
-  // Step 1: ERC-20 approve (amount + poster bond)
-  log(`Approving ${formatUnits(totalApproval, token.decimals)} ${token.symbol} (${amount} + 10% bond)...`);
-  const approveTx = await wallet.writeContract({
+  const token = resolveToken(args.token);
+  const pub = getPublicClient();
+  const current = await pub.readContract({
     address: token.address,
     abi: erc20Abi,
-    functionName: 'approve',
-    args: [CONTRACTS.BOUNTY_FACTORY, totalApproval],
+    functionName: 'allowance',
+    args: [owner, spender],
   });
 
-  log(`Approve tx: ${approveTx}`);
-  log('Waiting for approval confirmation...');
-  await pub.waitForTransactionReceipt({ hash: approveTx });
+  if (args.set === undefined) {
+    output({ ok: true, token: token.symbol, owner, spender, allowance: formatUnits(current, token.decimals) });
+    return;
+  }
 
-  // Step 2: Create bounty
-  log('Creating bounty...');
-  const createTx = await wallet.writeContract({
-    address: CONTRACTS.BOUNTY_FACTORY,
-    abi: factoryAbi,
-    functionName: 'createBounty',
-    args: [token.address, amountWei, BigInt(deadlineTimestamp), taskURI, skillArray],
+  // --set <n> replaces the allowance (0 revokes it)
+  const active = requireSession();
+  const amount = parseUnits(String(args.set), token.decimals);
+  const tx = createTxRunner(active, args);
+  log(`Setting ${token.symbol} allowance for ${shortAddr(spender)} to ${args.set}...`);
+  const { hash, receipt } = await tx.send({
+    label: 'Approve',
+    address: token.address,
+    abi: erc20Abi,
+    functionName: 'approve',
+    args: [spender, amount],
   });
 
-  log(`Create tx: ${createTx}`);
-  log('Waiting for creation confirmation...');
-  const receipt = await pub.waitForTransactionReceipt({ hash: createTx });
-
-  // Extract bounty address from BountyCreated event
-  let bountyAddress = null;
-  for (const eventLog of receipt.logs) {
-    try {
-      const decoded = decodeEventLog({
-        abi: factoryAbi,
-        data: eventLog.data,
-        topics: eventLog.topics,
-      });
-      if (decoded.eventName === 'BountyCreated') {
-        bountyAddress = decoded.args.bountyAddress;
-      }
-    } catch { /* not our event */ }
+  if (tx.dryRun) {
+    output(tx.report({ token: token.symbol, spender, allowance: formatUnits(amount, token.decimals) }));
+    return;
   }
 
   output({
     ok: true,
-    bountyAddress,
-    amount: `${amount} ${token.symbol}`,
-    bond: formatUnits(bondAmount, token.decimals) + ` ${token.symbol}`,
-    deadline: new Date(deadlineTimestamp * 1000).toISOString(),
-    task,
-    skills: skillArray,
-    approveTxHash: approveTx,
-    createTxHash: createTx,
+    txHash: hash,
+    blockNumber: receipt.blockNumber.toString(),
+    token: token.symbol,
+    owner: active.address,
+    spender,
+    previousAllowance: formatUnits(current, token.decimals),
+    allowance: formatUnits(amount, token.decimals),
   });
 }
 
-async function cmdProfile(args) {
-  const session = loadSession();
-  const address = args.address || args._positional || session?.address;
+/** Journal entry as shown by `tx list` / `tx show` */
+function formatJournal(j, withSteps = true) {
+  // A journal still marked running belongs to a live or crashed process
+  const status = j.status === 'running' ? 'incomplete' : j.status;
+  const out = {
+    id: j.id,
+    command: j.command,
+    status,
+    createdAt: j.createdAt,
+    updatedAt: j.updatedAt,
+  };
+  if (withSteps) {
+    out.steps = j.steps.map(st => ({
+      step: st.step,
+      to: st.to,
+      function: st.function,
+      hash: st.hash,
+      nonce: st.nonce,
+      status: st.status,
+      blockNumber: st.blockNumber,
+      replaced: st.replaced,
+      error: st.error,
+    }));
+  }
+  if (status !== 'completed' && j.command) out.resume = `node clara-work.mjs ${j.command} --resume ${j.id}`;
+  if (j.error) out.error = j.error;
+  return out;
+}
 
-  if (!address) {
-    output({ ok: false, error: 'No address. Provide --address or run setup first.' });
+async function cmdTx(args) {
+  const sub = args._positional || 'list';
+
+  if (sub === 'list') {
+    let entries = listJournals();
+    if (args.status) entries = entries.filter(j => formatJournal(j, false).status === args.status);
+    const limit = parseInt(args.limit || '20');
+    output({ ok: true, journals: entries.slice(0, limit).map(j => formatJournal(j)), total: entries.length });
     return;
   }
 
-  const pub = getPublicClient();
+  if (sub === 'show') {
+    const journal = args.id && loadJournal(args.id);
+    if (!journal) {
+      output({ ok: false, error: 'Required: tx show --id <journal-id> (see "tx list")' });
+      return;
+    }
+    output({ ok: true, journal: { ...formatJournal(journal), args: journal.args } });
+    return;
+  }
 
-  // Find agent ID via Register events
-  const agentId = await getAgentIdForAddress(pub, address);
+  if (sub === 'speedup' || sub === 'cancel') {
+    await replacePendingStep(args, sub);
+    return;
+  }
 
-  if (agentId === null) {
-    output({ ok: true, registered: false, address, message: 'Not registered as an agent.' });
+  output({ ok: false, error: `Unknown tx subcommand: ${sub}. Use: tx list | tx show --id <id> | tx speedup | tx cancel` });
+}
+
+function isPendingStep(st) {
+  return Boolean(st.hash) && (st.status === 'pending' || st.status === 'sending');
+}
+
+/**
+ * Replace a journaled transaction that is still pending, reusing its nonce:
+ * `speedup` resends the same call, `cancel` sends a 0 ETH self-transfer.
+ * Fees are the larger of +25% over the original and the current estimate,
+ * unless --max-fee/--priority-fee are given (those must still clear +10%).
+ */
+async function replacePendingStep(args, mode) {
+  const session = requireSession();
+  const timeout = waitTimeoutMs(args);
+  if (args.nonce !== undefined && !/^\d+$/.test(String(args.nonce))) {
+    throw new Error(`--nonce is a whole number, e.g. --nonce 42 (got ${args.nonce})`);
+  }
+  const nonceArg = args.nonce !== undefined ? Number(args.nonce) : null;
+  const matches = (j) => j.address?.toLowerCase() === session.address.toLowerCase() &&
+    j.steps.some(st => isPendingStep(st) && (nonceArg === null || st.nonce === nonceArg));
+  const journal = args.id ? loadJournal(String(args.id)) : listJournals().find(matches);
+  if (!journal || !matches(journal)) {
+    output({ ok: false, error: `No pending transaction${args.id ? ` in journal ${args.id}` : ''}${nonceArg !== null ? ` with nonce ${nonceArg}` : ''}. See "tx list".` });
     return;
   }
+  const step = journal.steps.find(st => isPendingStep(st) && (nonceArg === null || st.nonce === nonceArg));
 
-  const tokenURI = await pub.readContract({
-    address: CONTRACTS.IDENTITY_REGISTRY,
-    abi: identityAbi,
-    functionName: 'tokenURI',
-    args: [agentId],
-  });
+  const pub = getPublicClient();
+  const mined = await pub.getTransactionReceipt({ hash: step.hash }).catch(() => null);
+  if (mined) {
+    step.status = mined.status === 'success' ? 'confirmed' : 'reverted';
+    step.blockNumber = mined.blockNumber.toString();
+    saveJournal(journal);
+    output({ ok: false, error: `${step.hash} already landed in block ${mined.blockNumber}; nothing to replace.`, id: journal.id });
+    return;
+  }
+  const confirmedNonce = await pub.getTransactionCount({ address: session.address, blockTag: 'latest' });
+  if (confirmedNonce > step.nonce) {
+    output({ ok: false, error: `Nonce ${step.nonce} is already used on-chain by a transaction not in journal ${journal.id}; check the wallet's recent transactions.`, id: journal.id });
+    return;
+  }
+  const original = await pub.getTransaction({ hash: step.hash }).catch(() => null);
+  if (!original) {
+    output({ ok: false, error: `${step.hash} is not known to the RPC (dropped from the mempool). Re-run the command with --resume ${journal.id}.`, id: journal.id });
+    return;
+  }
 
-  const metadata = parseDataURI(tokenURI);
+  // Fees: overrides must clear the node's replacement minimum; defaults bump and track the market
+  const estimate = await pub.estimateFeesPerGas();
+  const bump = (fee, pct) => (fee * pct) / 100n;
+  const max = (...xs) => xs.reduce((a, b) => (b > a ? b : a));
+  const overrideMax = parseGweiArg(args, 'max-fee');
+  const overridePriority = parseGweiArg(args, 'priority-fee');
+  const minMax = bump(original.maxFeePerGas, REPLACEMENT_MIN_PERCENT);
+  const minPriority = bump(original.maxPriorityFeePerGas, REPLACEMENT_MIN_PERCENT);
+  if ((overrideMax !== undefined && overrideMax < minMax) || (overridePriority !== undefined && overridePriority < minPriority)) {
+    output({ ok: false, error: `A replacement needs at least ${formatGwei(minMax)} gwei max fee and ${formatGwei(minPriority)} gwei priority fee (+10%).` });
+    return;
+  }
+  const maxPriorityFeePerGas = overridePriority ?? max(bump(original.maxPriorityFeePerGas, REPLACEMENT_BUMP_PERCENT), estimate.maxPriorityFeePerGas);
+  const maxFeePerGas = overrideMax ?? max(bump(original.maxFeePerGas, REPLACEMENT_BUMP_PERCENT), estimate.maxFeePerGas, maxPriorityFeePerGas);
+
+  const tx = mode === 'speedup'
+    ? { to: original.to, data: original.input, value: original.value, gas: original.gas }
+    : { to: session.address, value: 0n, gas: 21000n };
+  const wallet = await getWalletClient(session);
+  log(`${mode === 'speedup' ? 'Speeding up' : 'Cancelling'} ${step.step} (nonce ${step.nonce}) at ${formatGwei(maxFeePerGas)} gwei max, ${formatGwei(maxPriorityFeePerGas)} gwei priority...`);
+  const hash = await wallet.sendTransaction({ ...tx, nonce: step.nonce, maxFeePerGas, maxPriorityFeePerGas });
+
+  const previousHash = step.hash;
+  Object.assign(step, {
+    hash,
+    replaced: [...(step.replaced || []), previousHash],
+    maxFeePerGas: maxFeePerGas.toString(),
+    maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+  });
+  saveJournal(journal);
 
-  // Get reputation summary
-  let reputation = null;
-  try {
-    const [count, value, decimals] = await pub.readContract({
-      address: CONTRACTS.REPUTATION_REGISTRY,
-      abi: reputationAbi,
-      functionName: 'getSummary',
-      args: [agentId, [], '', ''],
-    });
-    reputation = {
-      feedbackCount: count.toString(),
-      totalValue: value.toString(),
-      decimals: Number(decimals),
-    };
-  } catch { /* no reputation yet */ }
+  log(`Replacement tx: ${hash}`);
+  log('Waiting for confirmation...');
+  const receipt = await waitForStep(pub, hash, step.nonce, timeout, journal, (landed) => { step.hash = landed; });
+
+  // Whichever transaction took the nonce decides what happened to the step
+  const cancelled = receipt.transactionHash === hash && mode === 'cancel';
+  step.hash = receipt.transactionHash;
+  step.status = cancelled ? 'cancelled' : receipt.status === 'success' ? 'confirmed' : 'reverted';
+  step.blockNumber = receipt.blockNumber.toString();
+  if (cancelled) {
+    journal.status = 'failed';
+    journal.error = `${step.step} cancelled by tx cancel`;
+  }
+  saveJournal(journal);
 
   output({
     ok: true,
-    registered: true,
-    address,
-    agentId: agentId.toString(),
-    name: metadata?.name || null,
-    description: metadata?.description || null,
-    skills: metadata?.skills || [],
-    reputation,
-    tokenURI,
+    id: journal.id,
+    mode,
+    step: step.step,
+    nonce: step.nonce,
+    previousHash,
+    txHash: receipt.transactionHash,
+    status: step.status,
+    blockNumber: step.blockNumber,
+    maxFeeGwei: formatGwei(maxFeePerGas),
+    priorityFeeGwei: formatGwei(maxPriorityFeePerGas),
+    ...(journal.command && !cancelled ? { resume: `node clara-work.mjs ${journal.command} --resume ${journal.id}` } : {}),
   });
 }
 
@@ -1085,55 +4845,138 @@ const COMMANDS = {
   setup: cmdSetup,
   status: cmdStatus,
   register: cmdRegister,
+  'update-profile': cmdUpdateProfile,
+  sync: cmdSync,
   browse: cmdBrowse,
+  inspect: cmdInspect,
+  watch: cmdWatch,
+  autopilot: cmdAutopilot,
+  mine: cmdMine,
+  deadlines: cmdDeadlines,
   claim: cmdClaim,
   submit: cmdSubmit,
+  'verify-proof': cmdVerifyProof,
   approve: cmdApprove,
   reject: cmdReject,
+  review: cmdReview,
   cancel: cmdCancel,
   post: cmdPost,
+  'post-batch': cmdPostBatch,
   profile: cmdProfile,
+  reputation: cmdReputation,
+  leaderboard: cmdLeaderboard,
+  agents: cmdAgents,
   'approve-bond': cmdApproveBond,
+  balances: cmdBalances,
+  wrap: cmdWrap,
+  unwrap: cmdUnwrap,
+  transfer: cmdTransfer,
+  allowance: cmdAllowance,
+  tx: cmdTx,
 };
 
-const [command, ...rest] = process.argv.slice(2);
+/** Commands that work on a network without Clara contracts (wallet and token operations) */
+const CONTRACT_FREE_COMMANDS = new Set(['setup', 'status', 'balances', 'wrap', 'unwrap', 'transfer', 'allowance', 'tx']);
 
-if (!command || command === 'help' || command === '--help') {
+/** Usage text; printed before the network is resolved, so it works with any --network */
+function printHelp() {
   console.log(`Clara Work Marketplace CLI
 
 Usage: node clara-work.mjs <command> [options]
 
 Commands:
-  setup     --email <email>                Create or restore wallet
+  setup     --email <email>                Create or restore a Para wallet
+  setup     --signer keystore --import <file>  Use an encrypted JSON keystore
+  setup     --signer env                   Use the key in CLARA_PRIVATE_KEY
   status                                   Check wallet and agent status
   register  --name <n> --skills <s> [--bio <b>]  Register as agent
-  browse    [--skill <s>] [--min <n>] [--max <n>] [--days <n>] [--all]
-  claim     --bounty <addr> [--skip-approval]  Claim a bounty
+  update-profile [--name <n>] [--bio <b>] [--image <url>] [--skills <s>] [--services <type=url,...>] [--active true|false]
+  sync      [--reset]                      Update the local event index
+  browse    [--skill <s>] [--min <n>] [--max <n>] [--days <n>] [--all] [--no-sync]
+  inspect   --bounty <addr> [--no-sync] [--allow-unverified]  Full bounty state and event timeline
+  mine      [--active] [--role poster|claimer]  Bounties I posted or claimed, with next actions
+  deadlines [--within <duration>]          Claimed work due soon, and my Open bounties past deadline
+  watch     [--webhook <url>] [--interval <sec>] [--from-block <n>] [--once]  Stream my bounty events
+  autopilot --policy <file> [--interval <sec>] [--once] [--no-permit]  Auto-claim bounties matching a policy
+  claim     --bounty <addr> [--skip-approval] [--wrap] [--no-permit]  Claim a bounty (permits or approves the worker bond)
   approve-bond --bounty <addr> [--amount <n>]  Approve worker bond before claiming
-  submit    --bounty <addr> --proof <text> Submit work
+  submit    --bounty <addr> --proof <text> [--no-hash] Submit work
+  submit    --bounty <addr> --file <path> | --dir <path> [--proof <note>]  Submit a hashed file manifest
+  verify-proof --bounty <addr> --dir <path> | --file <path> [--allow-unverified]  Check received files against the submitted manifest
   approve   --bounty <addr> [--rating 1-5] [--comment <text>]
   reject    --bounty <addr>                Reject submitted work
+  review    --bounty <addr> [--dir <received>] [--check <cmd>] [--decision approve|reject] [--rating 1-5] [--comment <c>] [--final] [--force] [--allow-unverified]
   cancel    --bounty <addr>                Cancel unclaimed bounty
-  post      --amount <n> --deadline <d> --task <text> [--token USDC] [--skills <s>]
-  profile   [--address <addr>]             View agent profile
+  post      --amount <n> --deadline <d|2h30m> --task <text> [--token USDC] [--skills <s>] [--no-permit]
+            --task-file <spec.json>        Post a structured task spec (see references/task-spec.md) instead of --task
+  post-batch --file <tasks.csv|tasks.json> [--skip-invalid]  Post many bounties, one approval per token
+  profile   [--address <addr>] [--no-sync] View agent profile
+  reputation [--agent <id|addr>] [--clients <a,b>] [--tag1 <t>] [--tag2 <t>]  Feedback history and averages
+  agents    [--skill <s>] [--name <n>] [--active true|false] [--min-rating <r>] [--min-feedback <n>] [--limit <n>]  Find agents
+  leaderboard [--skill <s>] [--since <d>] [--sort completed|approval|rating|earned] [--token <sym>] [--limit <n>]  Rank agents
+  balances  [--address <addr>]             ETH and token balances
+  wrap      --amount <n>                   Wrap ETH into WETH
+  unwrap    --amount <n>                   Unwrap WETH into ETH
+  transfer  --token <ETH|sym> --to <addr> --amount <n>  Send ETH or tokens
+  allowance --token <sym> --spender <addr> [--owner <addr>] [--set <n>]  Read or set an allowance
+  tx list   [--status <s>] [--limit <n>]   Transaction journal history
+  tx show   --id <journal-id>              One journal entry with its steps
+  tx speedup [--id <journal-id>] [--nonce <n>]  Resend a pending tx with higher fees (same nonce)
+  tx cancel  [--id <journal-id>] [--nonce <n>]  Replace a pending tx with a 0 ETH self-transfer
+
+Global options:
+  --dry-run        Simulate every write (revert reason, gas, token movements) without signing or sending
+  --resume <id>    Re-run an interrupted command from its journal, reusing steps that already landed
+  --network <name> Network profile: mainnet (default), sepolia, or one defined in networks.json
+  --max-fee <gwei>       Max fee per gas for every write (default: the RPC's estimate)
+  --priority-fee <gwei>  Priority fee per gas for every write
+  --wait-timeout <s>     Give up waiting for a receipt after this many seconds (default: 300)
+  --sponsor-gas    Ask the proxy for gas when the balance can't cover a write
+  --inline         Keep post/submit payloads on-chain as data: URIs even when IPFS is configured
 
 Environment:
-  CLARA_PROXY_URL  Clara proxy (default: https://clara-proxy.bflynn-me.workers.dev)
-  BASE_RPC_URL     Base L2 RPC (default: https://mainnet.base.org)`);
-  process.exit(0);
+  CLARA_PROXY_URL  Clara proxy override (default: the profile's proxyUrl)
+  BASE_RPC_URL     RPC override for the selected network; comma-separate several for fallback (default: the profile's rpcUrls)
+  CLARA_NETWORK    Network profile when --network is not given
+  CLARA_NETWORKS_FILE  Network config (default: ~/.openclaw/credentials/clara/networks.json)
+  CLARA_WEBHOOK_URL  Default webhook for watch
+  CLARA_KEYSTORE_PASSWORD  Keystore password (otherwise prompted)
+  CLARA_PRIVATE_KEY  Private key for the env signer (works without setup)
+  CLARA_IPFS_API   Kubo HTTP API for task and proof payloads (e.g. http://127.0.0.1:5001)
+  CLARA_IPFS_DIR   Directory standing in for IPFS (<cid> files)
+  CLARA_IPFS_GATEWAY  Gateway for reading ipfs:// payloads (default: https://ipfs.io)`);
 }
 
+const [command, ...rest] = process.argv.slice(2);
+
 const handler = COMMANDS[command];
 if (!handler) {
   output({ ok: false, error: `Unknown command: ${command}. Run with --help for usage.` });
   process.exit(1);
 }
 
-const args = parseArgs(rest);
+let args = parseArgs(rest);
+args._command = command;
+
+if (args.resume) {
+  const journal = loadJournal(String(args.resume));
+  if (!journal) {
+    output({ ok: false, error: `No journal entry ${args.resume}. Run "tx list" to see entries.` });
+    process.exit(1);
+  }
+  if (journal.command !== command) {
+    output({ ok: false, error: `Journal ${journal.id} belongs to "${journal.command}", not "${command}"` });
+    process.exit(1);
+  }
+  args = { ...journal.args, ...args };
+}
 
 try {
+  if (!CONTRACT_FREE_COMMANDS.has(command)) requireContracts();
   await handler(args);
+  closeJournals();
 } catch (err) {
+  closeJournals(err.message);
   output({ ok: false, error: err.message, command });
   process.exit(1);
 }
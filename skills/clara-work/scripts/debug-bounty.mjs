@@ -1,8 +1,14 @@
-import { createPublicClient, http, parseAbi, formatUnits } from 'viem';
-import { base } from 'viem/chains';
+import { createPublicClient, parseAbi, formatUnits, isAddress } from 'viem';
+import { loadNetwork, rpcTransport } from './network.mjs';
 
-const BOUNTY = '0x8d7EBB4B2cfDBC264f75e100818BdaDC98c8373e';
-const FACTORY = '0x639A05560Cf089187494f9eE357D7D1c69b7558e';
+// Usage: node debug-bounty.mjs 0xBountyAddress [--network name]
+const BOUNTY = process.argv[2];
+if (!isAddress(BOUNTY || '')) {
+  console.error('Usage: node debug-bounty.mjs 0xBountyAddress [--network name]');
+  process.exit(1);
+}
+const network = loadNetwork(process.argv.slice(3));
+const FACTORY = network.contracts.BOUNTY_FACTORY;
 
 // Minimal bounty ABI for debugging
 const bountyAbi = parseAbi([
@@ -19,71 +25,68 @@ const bountyAbi = parseAbi([
   'function rejectionCount() view returns (uint8)',
 ]);
 
+const tokenAbi = parseAbi([
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+]);
+
 const factoryAbi = parseAbi([
   'function bondRate() view returns (uint256)',
   'function bountyImpl() view returns (address)',
 ]);
 
-const pub = createPublicClient({ 
-  chain: base, 
-  transport: http('https://mainnet.base.org', { retryCount: 3 })
-});
+// The shared transport retries 429s with backoff, so reads need no manual pacing
+const pub = createPublicClient({ chain: network.chain, transport: rpcTransport(network) });
+const read = (address, abi, functionName) => pub.readContract({ address, abi, functionName });
 
 async function debug() {
   console.log('=== Clara Bounty Debug ===\n');
+  console.log('Network:', network.name);
   console.log('Bounty Address:', BOUNTY);
-  
+
   try {
-    // Read all state at once with individual calls to avoid multicall issues
     console.log('\n--- Bounty State ---');
-    const status = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'status' });
+    const status = await read(BOUNTY, bountyAbi, 'status');
     console.log('Status:', status, '(0=Open, 1=Claimed, 2=Submitted, 3=Approved, 4=Rejected, 5=Cancelled, 6=Expired)');
-    
-    const amount = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'amount' });
-    console.log('Amount:', formatUnits(amount, 18), 'WETH');
-    
-    const token = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'token' });
+
+    const token = await read(BOUNTY, bountyAbi, 'token');
+    const [decimals, symbol] = await Promise.all([
+      read(token, tokenAbi, 'decimals').then(Number).catch(() => 18),
+      read(token, tokenAbi, 'symbol').catch(() => '?'),
+    ]);
+
+    const amount = await read(BOUNTY, bountyAbi, 'amount');
+    console.log('Amount:', formatUnits(amount, decimals), symbol);
     console.log('Token:', token);
-    
-    const deadline = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'deadline' });
+
+    const deadline = await read(BOUNTY, bountyAbi, 'deadline');
     const deadlineDate = new Date(Number(deadline) * 1000);
     console.log('Deadline:', deadlineDate.toISOString(), `(in ${Math.floor((Number(deadline) * 1000 - Date.now()) / 1000 / 60)} minutes)`);
     console.log('Deadline passed:', Date.now() > Number(deadline) * 1000);
-    
-    const poster = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'poster' });
-    console.log('Poster:', poster);
-    
-    const claimer = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'claimer' });
-    console.log('Claimer:', claimer);
-    
-    const claimerAgentId = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'claimerAgentId' });
-    console.log('Claimer Agent ID:', claimerAgentId.toString());
-    
-    const workerBond = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'workerBond' });
-    console.log('Worker Bond:', formatUnits(workerBond, 18), 'WETH');
-    
-    const posterBond = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'posterBond' });
-    console.log('Poster Bond:', formatUnits(posterBond, 18), 'WETH');
-    
-    const submittedAt = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'submittedAt' });
-    console.log('Submitted At:', submittedAt.toString());
-    
-    const rejectionCount = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'rejectionCount' });
-    console.log('Rejection Count:', rejectionCount.toString());
-    
+
+    console.log('Poster:', await read(BOUNTY, bountyAbi, 'poster'));
+    console.log('Claimer:', await read(BOUNTY, bountyAbi, 'claimer'));
+    console.log('Claimer Agent ID:', (await read(BOUNTY, bountyAbi, 'claimerAgentId')).toString());
+    console.log('Worker Bond:', formatUnits(await read(BOUNTY, bountyAbi, 'workerBond'), decimals), symbol);
+    console.log('Poster Bond:', formatUnits(await read(BOUNTY, bountyAbi, 'posterBond'), decimals), symbol);
+    console.log('Submitted At:', (await read(BOUNTY, bountyAbi, 'submittedAt')).toString());
+    console.log('Rejection Count:', (await read(BOUNTY, bountyAbi, 'rejectionCount')).toString());
+
     // Factory info
     console.log('\n--- Factory State ---');
-    const bondRate = await pub.readContract({ address: FACTORY, abi: factoryAbi, functionName: 'bondRate' });
+    if (!FACTORY) {
+      console.log(`No BOUNTY_FACTORY configured for network "${network.name}"`);
+      return;
+    }
+    const bondRate = await read(FACTORY, factoryAbi, 'bondRate');
     console.log('Bond Rate:', bondRate.toString(), 'basis points (1000 = 10%)');
-    
-    const impl = await pub.readContract({ address: FACTORY, abi: factoryAbi, functionName: 'bountyImpl' });
-    console.log('Implementation:', impl);
-    
+
+    const impl = await read(FACTORY, factoryAbi, 'bountyImpl').catch(() => null);
+    console.log('Implementation:', impl ?? '(not exposed by this factory)');
+
   } catch (err) {
-    console.error('Error:', err.message);
-    if (err.message.includes('429')) {
-      console.log('\nRate limited. Try again in a moment.');
-    }
+    console.error('Error:', err.shortMessage || err.message);
+    process.exitCode = 1;
   }
 }
 
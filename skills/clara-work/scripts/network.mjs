@@ -0,0 +1,136 @@
+/**
+ * Network profiles and the RPC transport, shared by clara-work.mjs and the
+ * helper scripts next to it.
+ */
+
+import { http, fallback, defineChain, isAddress } from 'viem';
+import { base, baseSepolia, foundry } from 'viem/chains';
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+export const SESSION_DIR = join(homedir(), '.openclaw', 'credentials', 'clara');
+export const NETWORKS_FILE = process.env.CLARA_NETWORKS_FILE || join(SESSION_DIR, 'networks.json');
+export const DEFAULT_PROXY_URL = 'https://clara-proxy.bflynn-me.workers.dev';
+
+/**
+ * Built-in network profiles. Entries in networks.json with the same name are
+ * merged over these; new names define custom deployments (e.g. Base Sepolia
+ * or a local anvil). A profile without Clara contract addresses still works
+ * for wallet and token commands.
+ */
+const BUILTIN_NETWORKS = {
+  mainnet: {
+    chain: 'base',
+    rpcUrls: ['https://mainnet.base.org'],
+    proxyUrl: DEFAULT_PROXY_URL,
+    contracts: {
+      IDENTITY_REGISTRY: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
+      REPUTATION_REGISTRY: '0x8004BAa17C55a88189AE136b182e5fdA19dE9b63',
+      BOUNTY_FACTORY: '0x639A05560Cf089187494f9eE357D7D1c69b7558e',
+    },
+    tokens: {
+      USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+      USDT: { address: '0xfde4C96c8593536E5a98a31fF2326B4b8b60B8d9', decimals: 6 },
+      DAI:  { address: '0x50c5725949A6F0c72e6C4A641f24049A917DB0Cb', decimals: 18 },
+      WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+    },
+    firstBlock: 41888723,
+    blockTime: 2,
+  },
+  // Clara is not deployed here yet: wallet commands work, and a networks.json
+  // profile named "sepolia" supplies the contract addresses once it is
+  sepolia: {
+    chain: 'baseSepolia',
+    rpcUrls: ['https://sepolia.base.org'],
+    proxyUrl: DEFAULT_PROXY_URL,
+    tokens: {
+      USDC: { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6 },
+      WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+    },
+    firstBlock: 0,
+    blockTime: 2,
+  },
+};
+
+const KNOWN_CHAINS = { base, baseSepolia, foundry };
+
+/** Resolve the selected network: --network, then CLARA_NETWORK, then the config default */
+export function loadNetwork(argv) {
+  let config = {};
+  if (existsSync(NETWORKS_FILE)) {
+    try {
+      config = JSON.parse(readFileSync(NETWORKS_FILE, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot parse ${NETWORKS_FILE}: ${err.message}`);
+    }
+  }
+
+  const flag = argv.indexOf('--network');
+  const name = (flag !== -1 && argv[flag + 1]) || process.env.CLARA_NETWORK || config.default || 'mainnet';
+  const custom = config.networks?.[name];
+  const builtin = BUILTIN_NETWORKS[name];
+  if (!custom && !builtin) {
+    const known = [...new Set([...Object.keys(BUILTIN_NETWORKS), ...Object.keys(config.networks || {})])];
+    throw new Error(`Unknown network "${name}". Known: ${known.join(', ')} (custom networks go in ${NETWORKS_FILE})`);
+  }
+  const net = { ...builtin, ...custom };
+  // Token lists merge per symbol so a profile can add one token without restating the rest
+  net.tokens = { ...builtin?.tokens, ...custom?.tokens };
+
+  let chain = KNOWN_CHAINS[net.chain];
+  if (!chain) {
+    if (!net.chainId) throw new Error(`Network "${name}" needs "chain" (${Object.keys(KNOWN_CHAINS).join(', ')}) or "chainId"`);
+    chain = defineChain({
+      id: Number(net.chainId),
+      name: net.chainName || name,
+      nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+      rpcUrls: { default: { http: net.rpcUrls || [] } },
+      ...(net.multicall3 ? { contracts: { multicall3: { address: net.multicall3 } } } : {}),
+    });
+  } else if (net.chainId && Number(net.chainId) !== chain.id) {
+    throw new Error(`Network "${name}": chainId ${net.chainId} does not match chain ${net.chain} (${chain.id})`);
+  }
+
+  // BASE_RPC_URL may list several endpoints, comma-separated, tried in order
+  const rpcUrls = process.env.BASE_RPC_URL
+    ? process.env.BASE_RPC_URL.split(',').map(u => u.trim()).filter(Boolean)
+    : (net.rpcUrls || []);
+  if (rpcUrls.length === 0) throw new Error(`Network "${name}" has no rpcUrls`);
+
+  // Missing Clara contracts only fail the commands that use them (see requireContracts)
+  const required = ['IDENTITY_REGISTRY', 'REPUTATION_REGISTRY', 'BOUNTY_FACTORY'];
+  const missingContracts = required.filter(k => !isAddress(net.contracts?.[k] || '', { strict: false }));
+  for (const [sym, t] of Object.entries(net.tokens)) {
+    if (!isAddress(t?.address || '', { strict: false }) || !Number.isInteger(t.decimals)) {
+      throw new Error(`Network "${name}": token ${sym} needs an address and integer decimals`);
+    }
+  }
+
+  return {
+    name,
+    chain,
+    rpcUrls,
+    proxyUrl: process.env.CLARA_PROXY_URL || net.proxyUrl || DEFAULT_PROXY_URL,
+    contracts: net.contracts || {},
+    missingContracts,
+    tokens: net.tokens,
+    firstBlock: BigInt(net.firstBlock ?? 0),
+    blockTime: Number(net.blockTime || 2),
+  };
+}
+
+const RPC_RETRY_COUNT = 4;
+const RPC_RETRY_DELAY_MS = 500;   // doubles per attempt: 0.5s, 1s, 2s, 4s
+
+/**
+ * A network's RPC endpoints. 429s, 5xx and timeouts are retried with
+ * exponential backoff (a single endpoint also honours Retry-After). With
+ * several endpoints a failed request moves straight on to the next one,
+ * and the backoff applies to whole rounds through the list.
+ */
+export function rpcTransport(network) {
+  const retry = { retryCount: RPC_RETRY_COUNT, retryDelay: RPC_RETRY_DELAY_MS };
+  if (network.rpcUrls.length === 1) return http(network.rpcUrls[0], retry);
+  return fallback(network.rpcUrls.map(url => http(url)), retry);
+}
@@ -1,7 +1,13 @@
-import { createPublicClient, http, parseAbi, formatUnits } from 'viem';
-import { base } from 'viem/chains';
+import { createPublicClient, parseAbi, isAddress } from 'viem';
+import { loadNetwork, rpcTransport } from './network.mjs';
 
-const BOUNTY = '0x8d7EBB4B2cfDBC264f75e100818BdaDC98c8373e';
+// Usage: node who-claimed.mjs 0xBountyAddress [--network name]
+const BOUNTY = process.argv[2];
+if (!isAddress(BOUNTY || '')) {
+  console.error('Usage: node who-claimed.mjs 0xBountyAddress [--network name]');
+  process.exit(1);
+}
+const network = loadNetwork(process.argv.slice(3));
 
 const bountyAbi = parseAbi([
   'function status() view returns (uint8)',
@@ -10,33 +16,25 @@ const bountyAbi = parseAbi([
   'function proofURI() view returns (string)',
 ]);
 
-const pub = createPublicClient({ 
-  chain: base, 
-  transport: http('https://mainnet.base.org', { retryCount: 5 })
-});
+// The shared transport retries 429s with backoff, so reads need no manual pacing
+const pub = createPublicClient({ chain: network.chain, transport: rpcTransport(network) });
 
 async function check() {
   console.log('=== Who Claimed the Bounty? ===\n');
-  
+
   try {
-    // Add delay to avoid rate limits
-    await new Promise(r => setTimeout(r, 1000));
-    
     const status = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'status' });
     console.log('Status:', status);
-    
-    await new Promise(r => setTimeout(r, 1000));
+
     const claimer = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'claimer' });
     console.log('Claimer:', claimer);
-    
-    await new Promise(r => setTimeout(r, 1000));
+
     const agentId = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'claimerAgentId' });
     console.log('Claimer Agent ID:', agentId.toString());
-    
-    await new Promise(r => setTimeout(r, 1000));
+
     const proof = await pub.readContract({ address: BOUNTY, abi: bountyAbi, functionName: 'proofURI' });
     console.log('\nProof URI:', proof);
-    
+
     // Try to decode proof
     if (proof && proof.startsWith('data:')) {
       try {
@@ -47,9 +45,10 @@ async function check() {
         console.log('Could not decode proof:', e.message);
       }
     }
-    
+
   } catch (err) {
-    console.error('Error:', err.message);
+    console.error('Error:', err.shortMessage || err.message);
+    process.exitCode = 1;
   }
 }
 
@@ -0,0 +1,794 @@
+/**
+ * End-to-end bounty lifecycle against the local harness, driven through the
+ * CLI's JSON output. Skips when anvil or the contract artifacts are missing;
+ * see test/README.md.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { randomBytes, scryptSync, createCipheriv } from 'node:crypto';
+import { writeFileSync, mkdirSync, cpSync } from 'node:fs';
+import { join } from 'node:path';
+import { keccak256, encodeFunctionData, parseAbi } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { startHarness, unavailableReason, devPrivateKey } from './harness/index.mjs';
+
+const skip = unavailableReason();
+
+/** Assert ok: true, surfacing the CLI's error message otherwise */
+function ok(result) {
+  assert.equal(result.ok, true, result.error || JSON.stringify(result));
+  return result;
+}
+
+async function rpc(url, method, params = []) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  const body = await res.json();
+  if (body.error) throw new Error(body.error.message);
+  return body.result;
+}
+
+/** Write a v3 JSON keystore as geth or `cast wallet` would, with cheap scrypt parameters */
+function writeKeystore(file, privateKey, password) {
+  const salt = randomBytes(32);
+  const iv = randomBytes(16);
+  const derived = scryptSync(password, salt, 32, { N: 1024, r: 8, p: 1 });
+  const cipher = createCipheriv('aes-128-ctr', derived.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey.slice(2), 'hex')), cipher.final()]);
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2);
+  writeFileSync(file, JSON.stringify({
+    version: 3,
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams: { dklen: 32, n: 1024, r: 8, p: 1, salt: salt.toString('hex') },
+      mac,
+    },
+  }));
+}
+
+/** Serves mutable pages for proof URLs: set(path, body) changes what a URL returns */
+function startContentServer() {
+  const pages = new Map();
+  const server = createServer((req, res) => {
+    const body = pages.get(req.url);
+    res.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'text/plain' });
+    res.end(body ?? 'not found');
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: (path) => `http://127.0.0.1:${server.address().port}${path}`,
+      set: (path, body) => pages.set(path, body),
+      stop: () => new Promise((r) => server.close(r)),
+    }));
+  });
+}
+
+/**
+ * A flaky RPC in front of anvil: the first `rateLimit` requests get a 429,
+ * eth_getLogs wider than `maxRange` blocks is refused, and `brokenLogs`
+ * fails every eth_getLogs outright.
+ */
+function startRpcProxy(target, { rateLimit = 0, maxRange = Infinity, brokenLogs = false } = {}) {
+  const stats = { throttled: 0, refused: 0 };
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    if (stats.throttled < rateLimit) {
+      stats.throttled++;
+      return reply(429, { error: 'Too Many Requests' });
+    }
+    const call = JSON.parse(body);
+    if (call.method === 'eth_getLogs') {
+      const { fromBlock, toBlock } = call.params[0];
+      if (brokenLogs) return reply(200, { jsonrpc: '2.0', id: call.id, error: { code: -32000, message: 'backend unavailable' } });
+      if (Number(toBlock) - Number(fromBlock) + 1 > maxRange) {
+        stats.refused++;
+        return reply(200, { jsonrpc: '2.0', id: call.id, error: { code: -32000, message: `block range is too wide (max ${maxRange})` } });
+      }
+    }
+    const upstream = await fetch(target, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    reply(upstream.status, await upstream.json());
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      stats,
+      stop: () => new Promise((r) => { server.closeAllConnections(); server.close(r); }),
+    }));
+  });
+}
+
+describe('clara-work e2e', { skip: skip || false, timeout: 600_000 }, () => {
+  let h;
+  let web;
+  let poster;
+  let worker;
+
+  async function status(bounty) {
+    return ok(await poster.run('inspect', { bounty })).status;
+  }
+
+  async function postBounty(task) {
+    const posted = ok(await poster.run('post', {
+      amount: 10, token: 'USDC', deadline: '3 days', task, skills: 'testing',
+    }));
+    assert.ok(posted.bountyAddress, 'post should report the new bounty address');
+    return posted.bountyAddress;
+  }
+
+  before(async () => {
+    h = await startHarness();
+    web = await startContentServer();
+    poster = h.actor('poster');
+    worker = h.actor('worker');
+  });
+
+  after(async () => {
+    await web?.stop();
+    await h?.stop();
+  });
+
+  test('setup creates a wallet and sponsors gas', async () => {
+    for (const [who, email] of [[poster, 'poster@example.com'], [worker, 'worker@example.com']]) {
+      const res = ok(await who.run('setup', { email }));
+      assert.equal(res.address, who.session().address);
+      const st = ok(await who.run('status'));
+      assert.equal(st.network, 'local');
+      assert.ok(Number(st.ethBalance) > 0, 'sponsored wallet should hold ETH');
+    }
+    // Same email, same wallet
+    const again = ok(await poster.run('setup', { email: 'poster@example.com' }));
+    assert.equal(again.address, poster.session().address);
+  });
+
+  test('register assigns agent IDs', async () => {
+    for (const who of [poster, worker]) {
+      const res = ok(await who.run('register', { name: who.name, skills: 'testing,solidity' }));
+      assert.ok(res.agentId, 'register should report an agentId');
+      const st = ok(await who.run('status'));
+      assert.equal(st.agentId, res.agentId);
+    }
+
+    const updated = ok(await worker.run('update-profile', { bio: 'Writes tests', services: 'web=https://worker.example' }));
+    assert.deepEqual(updated.changed, ['description', 'services']);
+    const profile = ok(await worker.run('profile'));
+    assert.equal(profile.agentId, updated.agentId, 'update keeps the same agent ID');
+    assert.equal(profile.name, 'worker');
+    assert.equal(profile.description, 'Writes tests');
+    assert.ok(profile.services.some(s => s.type === 'web' && s.endpoint === 'https://worker.example'));
+    assert.equal(h.proxy.agents.get(updated.agentId).description, 'Writes tests');
+    for (const bad of ['yes', true]) {
+      const res = await worker.run('update-profile', { active: bad });
+      assert.equal(res.ok, false);
+      assert.match(res.error, /--active takes true or false/);
+    }
+
+    await h.mint('USDC', poster.session().address, 1000);
+    await h.mint('USDC', worker.session().address, 100);
+  });
+
+  test('post → claim → submit → approve', async () => {
+    const bounty = await postBounty('Write a changelog');
+    assert.equal(await status(bounty), 'Open');
+
+    const browse = ok(await worker.run('browse', { skill: 'testing' }));
+    assert.ok(JSON.stringify(browse).toLowerCase().includes(bounty.toLowerCase()), 'browse should list the new bounty');
+
+    ok(await worker.run('claim', { bounty }));
+    assert.equal(await status(bounty), 'Claimed');
+
+    web.set('/changelog', 'v1: first release');
+    const submitted = ok(await worker.run('submit', { bounty, proof: web.url('/changelog') }));
+    assert.match(submitted.contentHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(await status(bounty), 'Submitted');
+
+    const inspected = ok(await poster.run('inspect', { bounty }));
+    assert.equal(inspected.proof.url, web.url('/changelog'));
+    assert.equal(inspected.proofIntegrity.url, 'unchanged');
+    web.set('/changelog', 'v1: first release (edited)');
+    assert.equal(ok(await poster.run('inspect', { bounty })).proofIntegrity.url, 'changed');
+
+    ok(await poster.run('approve', { bounty, rating: 5, comment: 'Great' }));
+    assert.equal(await status(bounty), 'Approved');
+
+    const rep = ok(await poster.run('reputation', { agent: worker.session().address }));
+    const entry = rep.feedback.find(f => f.bountyAddress?.toLowerCase() === bounty.toLowerCase());
+    assert.ok(entry, 'reputation should list the feedback from the approval');
+    assert.equal(entry.rating, 5);
+    assert.equal(entry.comment, 'Great');
+    assert.equal(rep.average, 5);
+  });
+
+  test('post → claim → submit → reject twice', async () => {
+    const bounty = await postBounty('Fix the flaky test');
+    ok(await worker.run('claim', { bounty }));
+    ok(await worker.run('submit', { bounty, proof: 'first attempt' }));
+
+    ok(await poster.run('reject', { bounty }));
+    assert.equal(await status(bounty), 'Claimed', 'first rejection returns the bounty to the worker');
+
+    ok(await worker.run('submit', { bounty, proof: 'second attempt' }));
+    const review = await poster.run('review', { bounty, decision: 'reject' });
+    assert.equal(review.ok, false, 'a second rejection needs --final');
+    assert.equal(review.finalRejection, true);
+    assert.match(review.error, /burns both/);
+    assert.equal(await status(bounty), 'Submitted');
+    ok(await poster.run('reject', { bounty }));
+    assert.equal(await status(bounty), 'Rejected');
+  });
+
+  test('post escrows the poster bond at the factory\'s current rate', async (t) => {
+    const factory = h.deployment.contracts.BOUNTY_FACTORY;
+    const from = privateKeyToAccount(devPrivateKey(0)).address;
+    const setBondRate = (rate) => rpc(h.rpcUrl, 'eth_sendTransaction', [{
+      from, to: factory, data: encodeFunctionData({ abi: parseAbi(['function setBondRate(uint256)']), functionName: 'setBondRate', args: [rate] }),
+    }]);
+    try {
+      await setBondRate(2500n);
+    } catch {
+      return t.skip('the factory has no setBondRate');
+    }
+    try {
+      for (const approval of [{}, { 'no-permit': true }]) {
+        const posted = ok(await poster.run('post', {
+          amount: 10, token: 'USDC', deadline: '3 days', task: 'Bond rate', ...approval,
+        }));
+        assert.equal(posted.bond, '2.5 USDC');
+        const shown = ok(await poster.run('inspect', { bounty: posted.bountyAddress }));
+        assert.equal(shown.posterBond, '2.5');
+      }
+    } finally {
+      await setBondRate(1000n);
+    }
+  });
+
+  test('post and claim leave no standing allowance', async () => {
+    const bounty = await postBounty('Permit or approve');
+    const factory = h.deployment.contracts.BOUNTY_FACTORY;
+    const toFactory = ok(await poster.run('allowance', { token: 'USDC', spender: factory }));
+    assert.equal(Number(toFactory.allowance), 0);
+
+    const claimed = ok(await worker.run('claim', { bounty }));
+    assert.ok(['permit', 'approve'].includes(claimed.approval));
+    if (claimed.approval === 'permit') assert.equal(claimed.approveTxHash, null);
+    const toBounty = ok(await worker.run('allowance', { token: 'USDC', spender: bounty }));
+    assert.equal(Number(toBounty.allowance), 0);
+  });
+
+  test('post → cancel', async () => {
+    const bounty = await postBounty('Never mind');
+    ok(await poster.run('cancel', { bounty }));
+    assert.equal(await status(bounty), 'Cancelled');
+  });
+
+  test('watch starts at the head without replaying history', async () => {
+    // The poster's wallet with an empty index: the first sync covers the whole history
+    const watcher = h.actor('watcher');
+    const credentials = join(watcher.home, '.openclaw', 'credentials', 'clara');
+    mkdirSync(credentials, { recursive: true });
+    cpSync(join(poster.home, '.openclaw', 'credentials', 'clara', 'session.json'), join(credentials, 'session.json'));
+
+    for (const bad of ['0', '1.5', 'soon']) {
+      const res = await watcher.run('watch', { interval: bad });
+      assert.equal(res.ok, false);
+      assert.match(res.error, /--interval is a whole number of seconds/);
+    }
+
+    assert.deepEqual(await watcher.lines('watch', { once: true }), [], 'a fresh watch emits nothing from before it started');
+
+    const bounty = await postBounty('Seen by watch');
+    const events = await watcher.lines('watch', { once: true });
+    assert.deepEqual(events.map(e => [e.event, e.bountyAddress, e.role]), [['BountyCreated', bounty, 'poster']]);
+    assert.deepEqual(await watcher.lines('watch', { once: true }), [], 'the cursor moved past the event');
+  });
+
+  test('post --task-file publishes a structured spec', async () => {
+    const spec = {
+      title: 'Add retries to the RPC client',
+      description: 'Retry idempotent calls with backoff.',
+      acceptanceCriteria: ['Retries 3 times', 'Tests cover the backoff'],
+      deliverableType: 'pull-request',
+      references: ['https://example.com/issue/1'],
+    };
+    const good = join(poster.home, 'spec.json');
+    writeFileSync(good, JSON.stringify(spec));
+    const posted = ok(await poster.run('post', { amount: 10, token: 'USDC', deadline: '3 days', 'task-file': good, skills: 'testing' }));
+
+    const browse = ok(await worker.run('browse', { skill: 'testing' }));
+    const listed = browse.bounties.find(b => b.address.toLowerCase() === posted.bountyAddress.toLowerCase());
+    assert.equal(listed.task, spec.title);
+    assert.equal(listed.deliverableType, 'pull-request');
+    const inspected = ok(await worker.run('inspect', { bounty: posted.bountyAddress }));
+    assert.equal(inspected.spec.schema, 'clara-task/v1');
+    assert.deepEqual(inspected.spec.acceptanceCriteria, spec.acceptanceCriteria);
+    assert.deepEqual(inspected.spec.references, [{ url: 'https://example.com/issue/1' }]);
+
+    const bad = join(poster.home, 'bad-spec.json');
+    writeFileSync(bad, JSON.stringify({ ...spec, acceptanceCriteria: [], deliverableType: 'poem' }));
+    const before = ok(await poster.run('balances'));
+    const rejected = await poster.run('post', { amount: 10, token: 'USDC', deadline: '3 days', 'task-file': bad });
+    assert.equal(rejected.ok, false);
+    assert.match(rejected.error, /acceptanceCriteria.*deliverableType/);
+    assert.deepEqual(ok(await poster.run('balances')), before, 'an invalid spec spends nothing');
+  });
+
+  test('post-batch validates every row, then approves once and creates each bounty', async () => {
+    const spec = join(poster.home, 'batch-spec.json');
+    writeFileSync(spec, JSON.stringify({
+      title: 'Document the batch format',
+      description: 'Describe the CSV columns.',
+      acceptanceCriteria: ['Every column is listed'],
+      deliverableType: 'document',
+    }));
+    const csv = join(poster.home, 'tasks.csv');
+    writeFileSync(csv, [
+      'amount,token,deadline,task,skills,task_file',
+      '5,USDC,3 days,"Translate the README, all sections",writing;docs,',
+      '2,USDC,2h30m,,testing,batch-spec.json',
+      '0,USDC,2020-01-01,Broken row,,',
+    ].join('\n'));
+
+    const before = ok(await poster.run('balances'));
+    const refused = await poster.run('post-batch', { file: csv });
+    assert.equal(refused.ok, false);
+    assert.deepEqual(refused.invalid.map(r => r.row), [3]);
+    assert.match(refused.invalid[0].error, /amount.*deadline .* is in the past/);
+    assert.deepEqual(ok(await poster.run('balances')), before, 'an invalid row spends nothing');
+
+    const batch = await poster.run('post-batch', { file: csv, 'skip-invalid': true });
+    assert.equal(batch.ok, false, 'the skipped row is still reported');
+    assert.equal(batch.created, 2);
+    assert.deepEqual(batch.totals.USDC, { escrow: '7', bonds: '0.7', total: '7.7', approveTxHash: batch.totals.USDC.approveTxHash });
+    assert.deepEqual(batch.results.map(r => [r.row, r.ok]), [[1, true], [2, true], [3, false]]);
+
+    const first = ok(await worker.run('inspect', { bounty: batch.results[0].bountyAddress }));
+    assert.equal(first.task.summary, 'Translate the README, all sections');
+    assert.deepEqual(first.task.skills, ['writing', 'docs']);
+    const second = ok(await worker.run('inspect', { bounty: batch.results[1].bountyAddress }));
+    assert.equal(second.spec.deliverableType, 'document');
+
+    const json = join(poster.home, 'tasks.json');
+    writeFileSync(json, JSON.stringify({ bounties: [{ amount: '1', deadline: '1 day', task: 'Dry one', skills: ['testing'] }] }));
+    // As with claim, only the plan is asserted where the RPC lacks eth_simulateV1
+    const dry = await poster.run('post-batch', { file: json, 'dry-run': true });
+    assert.equal(dry.dryRun, true);
+    assert.deepEqual(dry.steps.map(s => s.label), ['Approve', 'Create row 1']);
+    assert.equal(dry.totals.USDC.total, '1.1');
+  });
+
+  test('payloads go to IPFS when a backend is configured', async () => {
+    const dir = join(poster.home, '..', 'ipfs');
+    mkdirSync(dir, { recursive: true });
+    const ipfsPoster = h.actor('poster', { CLARA_IPFS_DIR: dir });
+    const ipfsWorker = h.actor('worker', { CLARA_IPFS_DIR: dir });
+
+    const posted = ok(await ipfsPoster.run('post', { amount: 10, token: 'USDC', deadline: '3 days', task: 'Stored on IPFS', skills: 'testing' }));
+    assert.match(posted.taskURI, /^ipfs:\/\/bafkrei[a-z2-7]+$/);
+    const browse = ok(await ipfsWorker.run('browse', { skill: 'testing' }));
+    assert.equal(browse.bounties.find(b => b.address === posted.bountyAddress)?.task, 'Stored on IPFS');
+
+    ok(await ipfsWorker.run('claim', { bounty: posted.bountyAddress }));
+    const submitted = ok(await ipfsWorker.run('submit', { bounty: posted.bountyAddress, proof: 'Done, see notes' }));
+    assert.match(submitted.proofURI, /^ipfs:\/\//);
+
+    const inspected = ok(await ipfsPoster.run('inspect', { bounty: posted.bountyAddress }));
+    assert.equal(inspected.task.summary, 'Stored on IPFS');
+    assert.equal(inspected.taskIntegrity.verified, true);
+    assert.equal(inspected.proof.proof, 'Done, see notes');
+    assert.equal(inspected.proofIntegrity.verified, true);
+
+    // Tampered content is refused rather than shown
+    const cid = submitted.proofURI.slice('ipfs://'.length);
+    writeFileSync(join(dir, cid), JSON.stringify({ proof: 'something else' }));
+    const outsider = h.actor('outsider', { CLARA_IPFS_DIR: dir, CLARA_IPFS_GATEWAY: 'http://127.0.0.1:9' });
+    const tampered = ok(await outsider.run('inspect', { bounty: posted.bountyAddress }));
+    assert.equal(tampered.proof, null);
+    assert.equal(tampered.proofIntegrity.verified, false);
+
+    // A CIDv0 can't be checked locally, so it is only read with --allow-unverified
+    const legacy = await postBounty('Legacy CID proof');
+    ok(await worker.run('claim', { bounty: legacy }));
+    const v0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+    writeFileSync(join(dir, v0), JSON.stringify({ proof: 'pinned elsewhere' }));
+    ok(await worker.run('submit', { bounty: legacy, proof: `ipfs://${v0}` }));
+    const refused = ok(await outsider.run('inspect', { bounty: legacy }));
+    assert.equal(refused.proof, null);
+    assert.equal(refused.proofIntegrity.verified, null);
+    assert.match(refused.proofIntegrity.error, /--allow-unverified/);
+    const allowed = ok(await outsider.run('inspect', { bounty: legacy, 'allow-unverified': true }));
+    assert.equal(allowed.proof.proof, 'pinned elsewhere');
+    assert.equal(allowed.proofIntegrity.verified, null);
+    assert.match(allowed.proofIntegrity.warning, /^Unverified/);
+  });
+
+  test('submit --dir publishes a manifest that verify-proof checks', async () => {
+    const bounty = await postBounty('Ship the report');
+    ok(await worker.run('claim', { bounty }));
+
+    const out = join(worker.home, 'deliverable');
+    mkdirSync(join(out, 'data'), { recursive: true });
+    writeFileSync(join(out, 'report.md'), '# Report\n');
+    writeFileSync(join(out, 'data', 'results.csv'), 'a,b\n1,2\n');
+    const submitted = ok(await worker.run('submit', { bounty, dir: out, proof: 'Report and data' }));
+    assert.equal(submitted.files, 2);
+    assert.match(submitted.rootHash, /^0x[0-9a-f]{64}$/);
+
+    const received = join(poster.home, 'received');
+    cpSync(out, received, { recursive: true });
+    const review = ok(await poster.run('review', { bounty, dir: received, check: 'test -f report.md && test -n "$CLARA_PROOF_FILE"' }));
+    assert.equal(review.decision, null, 'without --decision or a terminal, review only reports');
+    assert.equal(review.manifest.match, true);
+    assert.equal(review.check.passed, true);
+    assert.equal(review.finalRejection, false);
+    const refused = await poster.run('review', { bounty, check: 'exit 3', decision: 'approve' });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.check.exitCode, 3);
+    assert.equal(await status(bounty), 'Submitted');
+
+    const verified = ok(await poster.run('verify-proof', { bounty, dir: received }));
+    assert.equal(verified.match, true);
+    assert.equal(verified.rootHash.local, submitted.rootHash);
+
+    writeFileSync(join(received, 'data', 'results.csv'), 'a,b\n1,3\n');
+    writeFileSync(join(received, 'extra.txt'), 'not submitted');
+    const tampered = ok(await poster.run('verify-proof', { bounty, dir: received }));
+    assert.equal(tampered.match, false);
+    assert.deepEqual(tampered.mismatched.map(m => m.path), ['data/results.csv']);
+    assert.deepEqual(tampered.extra, ['extra.txt']);
+  });
+
+  test('dry-run sends nothing', async () => {
+    const bounty = await postBounty('Dry run target');
+    // Without eth_simulateV1 the claim step is simulated without the approval, so only the plan is asserted
+    const sim = await worker.run('claim', { bounty, 'dry-run': true });
+    assert.equal(sim.dryRun, true);
+    assert.deepEqual(sim.steps.map(s => s.label), ['Approve', 'Claim']);
+    assert.equal(await status(bounty), 'Open');
+    const allowance = ok(await worker.run('allowance', { token: 'USDC', spender: bounty }));
+    assert.equal(Number(allowance.allowance), 0);
+  });
+
+  test('autopilot claims matching bounties, and only plans the claim in dry-run', async () => {
+    const policy = join(worker.home, 'policy.json');
+    writeFileSync(policy, JSON.stringify({ skills: ['testing'], tokens: ['USDC'], maxConcurrentClaims: 100 }));
+    const fromBlock = String(Number(await rpc(h.rpcUrl, 'eth_blockNumber')) + 1);
+    const bounty = await postBounty('Autopilot target');
+
+    // The claim check runs after the simulated approve, so a dry-run is not skipped for want of allowance
+    const planned = await worker.lines('autopilot', { policy, once: true, 'from-block': fromBlock, 'dry-run': true });
+    assert.deepEqual(planned.map(d => [d.bountyAddress, d.decision]), [[bounty, 'would-claim']], JSON.stringify(planned));
+    assert.equal(await status(bounty), 'Open');
+    assert.equal(Number(ok(await worker.run('allowance', { token: 'USDC', spender: bounty })).allowance), 0);
+
+    const live = await worker.lines('autopilot', { policy, once: true, 'from-block': fromBlock });
+    assert.deepEqual(live.map(d => [d.bountyAddress, d.decision]), [[bounty, 'claimed']], JSON.stringify(live));
+    assert.ok(live[0].txHash);
+    assert.equal(await status(bounty), 'Claimed');
+  });
+
+  test('autopilot resets its approval when it loses the race for a bounty', async () => {
+    const policy = join(worker.home, 'policy.json');
+    writeFileSync(policy, JSON.stringify({ skills: ['testing'], tokens: ['USDC'], maxConcurrentClaims: 100 }));
+    const fromBlock = String(Number(await rpc(h.rpcUrl, 'eth_blockNumber')) + 1);
+    const bounty = await postBounty('Raced');
+
+    // The poster cancels while the worker's approve is being signed, so the claim check fails after it lands
+    h.proxy.beforeSigning(1, async () => { ok(await poster.run('cancel', { bounty })); });
+    const decisions = await worker.lines('autopilot', { policy, once: true, 'from-block': fromBlock, 'no-permit': true });
+    assert.deepEqual(decisions.map(d => [d.bountyAddress, d.decision]), [[bounty, 'skipped']], JSON.stringify(decisions));
+    assert.ok(decisions[0].approveTxHash, 'the approve was sent before the race was lost');
+    assert.ok(decisions[0].revokeTxHash);
+    assert.equal(Number(ok(await worker.run('allowance', { token: 'USDC', spender: bounty })).allowance), 0);
+  });
+
+  test('deadlines lists claimed work due soon', async () => {
+    const posted = ok(await poster.run('post', { amount: 5, token: 'USDC', deadline: '2h30m', task: 'Quick fix', skills: 'misc' }));
+    ok(await worker.run('claim', { bounty: posted.bountyAddress }));
+
+    const soon = ok(await worker.run('deadlines', { within: '3h' }));
+    assert.deepEqual(soon.deadlines.map(d => d.address), [posted.bountyAddress]);
+    assert.equal(soon.deadlines[0].kind, 'claimed-unsubmitted');
+    assert.ok(soon.deadlines[0].secondsRemaining > 2 * 3600 && soon.deadlines[0].secondsRemaining <= 9000);
+    assert.match(soon.deadlines[0].action, /submit --bounty/);
+
+    assert.equal(ok(await worker.run('deadlines', { within: '1h' })).total, 0);
+    assert.ok(ok(await worker.run('deadlines')).total >= 2, 'without --within every unsubmitted claim is listed');
+  });
+
+  test('a network without Clara contracts still runs wallet commands', async () => {
+    const networksFile = join(h.actor('bare').home, 'networks.json');
+    writeFileSync(networksFile, JSON.stringify({
+      networks: { bare: { chain: 'foundry', rpcUrls: [h.rpcUrl], tokens: h.deployment.tokens } },
+    }));
+    const bare = h.actor('bare', { CLARA_NETWORKS_FILE: networksFile, CLARA_NETWORK: 'bare', CLARA_PRIVATE_KEY: devPrivateKey(3) });
+
+    const balances = ok(await bare.run('balances'));
+    assert.ok(Number(balances.balances.ETH) > 0);
+    assert.equal(balances.balances.USDC, '0');
+    const st = ok(await bare.run('status'));
+    assert.equal(st.agentId, null);
+    assert.deepEqual(st.missingContracts, ['IDENTITY_REGISTRY', 'REPUTATION_REGISTRY', 'BOUNTY_FACTORY']);
+
+    const browse = await bare.run('browse');
+    assert.equal(browse.ok, false);
+    assert.match(browse.error, /Network "bare" is missing contract addresses \(IDENTITY_REGISTRY, REPUTATION_REGISTRY, BOUNTY_FACTORY\)/);
+
+    // The built-in Base Sepolia profile has no Clara addresses until networks.json adds them
+    const sepolia = await bare.run('browse', { network: 'sepolia' });
+    assert.equal(sepolia.ok, false);
+    assert.match(sepolia.error, /Network "sepolia" is missing contract addresses .* under networks\.sepolia\.contracts/);
+  });
+
+  test('env signer works without the proxy', async () => {
+    const ci = h.actor('ci', { CLARA_PRIVATE_KEY: devPrivateKey(2), CLARA_PROXY_URL: 'http://127.0.0.1:9' });
+    const st = ok(await ci.run('status'));
+    assert.equal(st.signer, 'env');
+    const res = ok(await ci.run('transfer', { token: 'ETH', to: worker.session().address, amount: '0.01' }));
+    assert.ok(res.txHash);
+  });
+
+  test('setup with the env and keystore signers; a wrong password is refused', async () => {
+    const offline = { CLARA_PROXY_URL: 'http://127.0.0.1:9' };
+
+    const envKey = devPrivateKey(4);
+    const env = h.actor('env-signer', { ...offline, CLARA_PRIVATE_KEY: envKey });
+    assert.equal(ok(await env.run('setup', { signer: 'env' })).address, privateKeyToAccount(envKey).address);
+    assert.equal(ok(await env.run('status')).signer, 'env');
+    ok(await env.run('wrap', { amount: '0.01' }));
+    const unset = await h.actor('env-signer', offline).run('wrap', { amount: '0.01' });
+    assert.equal(unset.ok, false);
+    assert.match(unset.error, /env signer but CLARA_PRIVATE_KEY is not set/);
+
+    const vaultKey = devPrivateKey(5);
+    const keystore = join(h.actor('vault').home, 'keystore.json');
+    writeKeystore(keystore, vaultKey, 'correct horse');
+    const wrongSetup = await h.actor('vault', { ...offline, CLARA_KEYSTORE_PASSWORD: 'battery staple' })
+      .run('setup', { signer: 'keystore', import: keystore });
+    assert.equal(wrongSetup.ok, false);
+    assert.match(wrongSetup.error, /Wrong keystore password/);
+
+    const vault = h.actor('vault', { ...offline, CLARA_KEYSTORE_PASSWORD: 'correct horse' });
+    assert.equal(ok(await vault.run('setup', { signer: 'keystore', import: keystore })).address, privateKeyToAccount(vaultKey).address);
+    assert.equal(ok(await vault.run('status')).signer, 'keystore');
+    ok(await vault.run('wrap', { amount: '0.01' }));
+
+    const locked = await h.actor('vault', { ...offline, CLARA_KEYSTORE_PASSWORD: 'battery staple' }).run('wrap', { amount: '0.01' });
+    assert.equal(locked.ok, false);
+    assert.match(locked.error, /Wrong keystore password/);
+  });
+
+  test('fee overrides and the low-balance guard', async () => {
+    const ci = h.actor('ci', { CLARA_PRIVATE_KEY: devPrivateKey(2) });
+    const sent = ok(await ci.run('transfer', { token: 'ETH', to: worker.session().address, amount: '0.001', 'max-fee': '5', 'priority-fee': '1' }));
+    const tx = await rpc(h.rpcUrl, 'eth_getTransactionByHash', [sent.txHash]);
+    assert.equal(BigInt(tx.maxFeePerGas), 5_000_000_000n);
+    assert.equal(BigInt(tx.maxPriorityFeePerGas), 1_000_000_000n);
+
+    // A malformed --wait-timeout is refused before anything is sent
+    const nonce = await rpc(h.rpcUrl, 'eth_getTransactionCount', [tx.from, 'pending']);
+    for (const bad of ['10s', '0', '-5', '1.5']) {
+      const res = await ci.run('transfer', { token: 'ETH', to: worker.session().address, amount: '0.001', 'wait-timeout': bad });
+      assert.equal(res.ok, false, bad);
+      assert.match(res.error, /--wait-timeout is a whole number of seconds/);
+    }
+    assert.equal(await rpc(h.rpcUrl, 'eth_getTransactionCount', [tx.from, 'pending']), nonce);
+
+    // A wallet with no ETH is refused before anything is signed, unless it asks for sponsorship
+    const broke = h.actor('broke', { CLARA_PRIVATE_KEY: `0x${'11'.repeat(32)}` });
+    const approve = { token: 'USDC', spender: worker.session().address, set: 1 };
+    const refused = await broke.run('allowance', approve);
+    assert.equal(refused.ok, false);
+    assert.match(refused.error, /Insufficient ETH.*--sponsor-gas/);
+    ok(await broke.run('allowance', { ...approve, 'sponsor-gas': true }));
+  });
+
+  test('tx speedup and tx cancel replace a stuck transaction', async () => {
+    const ci = h.actor('ci', { CLARA_PRIVATE_KEY: devPrivateKey(2) });
+    const to = poster.session().address;
+    const balanceOf = async (a) => BigInt(await rpc(h.rpcUrl, 'eth_getBalance', [a, 'latest']));
+
+    /** Send a transfer that stays in the mempool, then run a tx subcommand while a block is mined */
+    async function stuckThen(sub) {
+      const stuck = await ci.run('transfer', { token: 'ETH', to, amount: '0.001', 'wait-timeout': 2 });
+      assert.equal(stuck.ok, false);
+      assert.match(stuck.error, /still pending.*tx speedup --id \S+ --nonce \d+/);
+      assert.doesNotMatch(stuck.error, /--resume/);
+      const [, id, nonce] = stuck.error.match(/tx speedup --id (\S+) --nonce (\d+)/);
+      const replacing = ci.run(`tx ${sub}`, { id, nonce, 'wait-timeout': 60 });
+      await new Promise(r => setTimeout(r, 4000));
+      await rpc(h.rpcUrl, 'evm_mine');
+      return ok(await replacing);
+    }
+
+    for (const bad of ['-1', '1.5', 'latest']) {
+      const res = await ci.run('tx speedup', { nonce: bad });
+      assert.equal(res.ok, false);
+      assert.match(res.error, /--nonce is a whole number/);
+    }
+
+    await rpc(h.rpcUrl, 'evm_setAutomine', [false]);
+    try {
+      const before = await balanceOf(to);
+      const sped = await stuckThen('speedup');
+      assert.equal(sped.status, 'confirmed');
+      assert.notEqual(sped.txHash, sped.previousHash);
+      assert.equal(await balanceOf(to), before + 1_000_000_000_000_000n, 'the sped-up transfer lands once');
+
+      const cancelled = await stuckThen('cancel');
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal(await balanceOf(to), before + 1_000_000_000_000_000n, 'the cancelled transfer never lands');
+      const failed = ok(await ci.run('tx list', { status: 'failed' }));
+      assert.ok(failed.journals.some(j => j.id === cancelled.id));
+    } finally {
+      await rpc(h.rpcUrl, 'evm_setAutomine', [true]);
+    }
+  });
+
+  test('--resume waits on a transfer that is still pending instead of sending it again', async () => {
+    const ci = h.actor('ci', { CLARA_PRIVATE_KEY: devPrivateKey(2) });
+    const to = poster.session().address;
+    const balanceOf = async (a) => BigInt(await rpc(h.rpcUrl, 'eth_getBalance', [a, 'latest']));
+
+    await rpc(h.rpcUrl, 'evm_setAutomine', [false]);
+    try {
+      const before = await balanceOf(to);
+      const stuck = await ci.run('transfer', { token: 'ETH', to, amount: '0.001', 'wait-timeout': 2 });
+      assert.equal(stuck.ok, false);
+      const [, id] = stuck.error.match(/--id (\S+) /);
+      const { hash } = ok(await ci.run('tx show', { id })).journal.steps[0];
+
+      // Still pending: the resumed run times out again rather than sending at a new nonce
+      const again = await ci.run('transfer', { resume: id, 'wait-timeout': 2 });
+      assert.equal(again.ok, false);
+      assert.match(again.error, /still pending/);
+
+      const resuming = ci.run('transfer', { resume: id, 'wait-timeout': 60 });
+      await new Promise(r => setTimeout(r, 4000));
+      await rpc(h.rpcUrl, 'evm_mine');
+      ok(await resuming);
+      assert.equal(await balanceOf(to), before + 1_000_000_000_000_000n, 'the transfer lands once');
+      const journal = ok(await ci.run('tx show', { id })).journal;
+      assert.equal(journal.status, 'completed');
+      assert.deepEqual(journal.steps.map(st => [st.hash, st.status]), [[hash, 'confirmed']]);
+    } finally {
+      await rpc(h.rpcUrl, 'evm_setAutomine', [true]);
+    }
+  });
+
+  test('claim --resume sends only what an interrupted run did not', async () => {
+    const bounty = await postBounty('Interrupted claim');
+    h.proxy.failSigning(2); // the approve is signed, the claim is refused
+    const failed = await worker.run('claim', { bounty, 'no-permit': true });
+    assert.equal(failed.ok, false);
+    assert.equal(await status(bounty), 'Open');
+
+    const listed = ok(await worker.run('tx list', { status: 'failed' }));
+    const entry = listed.journals.find(j => j.command === 'claim');
+    assert.ok(entry, 'the interrupted claim should be listed as failed');
+    assert.equal(entry.resume, `node clara-work.mjs claim --resume ${entry.id}`);
+    assert.deepEqual(entry.steps.map(st => [st.step, st.status]), [['Approve', 'confirmed'], ['Claim', 'failed']]);
+    const approveHash = entry.steps[0].hash;
+
+    const shown = ok(await worker.run('tx show', { id: entry.id })).journal;
+    assert.equal(shown.args.bounty, bounty);
+    assert.equal(shown.status, 'failed');
+    assert.equal((await worker.run('tx show')).ok, false, 'tx show needs --id');
+
+    const signed = h.proxy.signatures();
+    ok(await worker.run('claim', { resume: entry.id }));
+    assert.equal(h.proxy.signatures() - signed, 1, 'only the claim is signed on resume');
+    assert.equal(await status(bounty), 'Claimed');
+
+    const resumed = ok(await worker.run('tx show', { id: entry.id })).journal;
+    assert.equal(resumed.status, 'completed');
+    assert.deepEqual(resumed.steps.map(st => [st.step, st.status]), [['Approve', 'confirmed'], ['Claim', 'confirmed']]);
+    assert.equal(resumed.steps[0].hash, approveHash);
+    assert.equal(resumed.resume, undefined);
+    assert.ok(ok(await worker.run('tx list', { status: 'completed' })).journals.some(j => j.id === entry.id));
+  });
+
+  test('mine lists both sides of the marketplace', async () => {
+    const mine = ok(await poster.run('mine'));
+    assert.ok(mine.total >= 4, `poster should see their bounties (got ${mine.total})`);
+    const claimed = ok(await worker.run('mine', { role: 'claimer' }));
+    assert.ok(claimed.total >= 2, `worker should see claimed bounties (got ${claimed.total})`);
+  });
+
+  test('agents finds the worker by skill and rating', async () => {
+    const found = ok(await poster.run('agents', { skill: 'solidity', 'min-rating': 4 }));
+    assert.equal(found.total, 1);
+    assert.equal(found.agents[0].wallet.toLowerCase(), worker.session().address.toLowerCase());
+    assert.equal(found.agents[0].active, true);
+    const none = ok(await poster.run('agents', { name: 'nobody-by-this-name' }));
+    assert.equal(none.total, 0);
+  });
+
+  test('leaderboard ranks the worker by completed bounties', async () => {
+    const board = ok(await poster.run('leaderboard', { skill: 'testing' }));
+    const me = board.agents.find(a => a.address.toLowerCase() === worker.session().address.toLowerCase());
+    assert.ok(me, 'worker should be on the leaderboard');
+    assert.equal(me.rank, 1);
+    assert.equal(me.completed, 1);
+    assert.equal(me.rejections, 2);
+    assert.equal(me.earned.USDC, '10');
+    assert.equal(me.averageRating, 5);
+    assert.equal(me.name, 'worker');
+
+    // Names follow the current profile, not the one registered
+    ok(await worker.run('update-profile', { name: 'Test Writer' }));
+    const renamed = ok(await poster.run('leaderboard', { skill: 'testing' }));
+    assert.equal(renamed.agents.find(a => a.agentId === me.agentId).name, 'Test Writer');
+
+    const recent = ok(await poster.run('leaderboard', { since: '2030-01-01' }));
+    assert.equal(recent.agents.length, 0, 'nothing happened after a future date');
+  });
+
+  test('RPC fallbacks, 429 backoff and refused log ranges', async () => {
+    const flaky = await startRpcProxy(h.rpcUrl, { rateLimit: 2, maxRange: 16 });
+    const broken = await startRpcProxy(h.rpcUrl, { brokenLogs: true });
+    try {
+      // The first endpoint is down, the second throttles and caps getLogs ranges
+      const reader = h.actor('reader', { BASE_RPC_URL: `http://127.0.0.1:9, ${flaky.url}` });
+      const synced = ok(await reader.run('sync'));
+      const reference = ok(await poster.run('sync'));
+      assert.deepEqual(synced.failedRanges, []);
+      assert.equal(synced.bounties, reference.bounties);
+      assert.equal(synced.lastSyncedBlock, reference.lastSyncedBlock);
+      assert.equal(flaky.stats.throttled, 2);
+      assert.ok(flaky.stats.refused > 0, 'the first range was refused and split');
+
+      // Ranges that cannot be fetched at all are reported, not skipped silently
+      const stranded = h.actor('stranded', { BASE_RPC_URL: broken.url });
+      const failed = ok(await stranded.run('sync'));
+      assert.ok(failed.failedRanges.length > 0);
+      const browse = ok(await stranded.run('browse', { all: true }));
+      assert.deepEqual(browse.unfetchedRanges, failed.failedRanges);
+    } finally {
+      await flaky.stop();
+      await broken.stop();
+    }
+  });
+
+  test('inspect on a fresh index skips the full scan; expiry needs no event', async () => {
+    // Expiry is read against the wall clock, so the deadline is a real one a few seconds out
+    const deadline = Date.now() + 20_000;
+    const posted = ok(await poster.run('post', {
+      amount: 5, token: 'USDC', deadline: new Date(deadline).toISOString(), task: 'Nobody takes this', skills: 'misc',
+    }));
+    const bounty = posted.bountyAddress;
+
+    const newcomer = h.actor('newcomer');
+    const fresh = ok(await newcomer.run('inspect', { bounty }));
+    assert.equal(fresh.status, 'Open');
+    assert.equal(fresh.indexed, false, 'a fresh index is not built just for one bounty');
+    assert.deepEqual(fresh.timeline, []);
+    ok(await newcomer.run('sync'));
+    const synced = ok(await newcomer.run('inspect', { bounty }));
+    assert.deepEqual(synced.timeline.map(e => e.event), ['BountyCreated']);
+
+    // Past the deadline the bounty reads as Expired without any new event
+    await new Promise(r => setTimeout(r, Math.max(deadline + 2000 - Date.now(), 0)));
+    await rpc(h.rpcUrl, 'evm_mine');
+    assert.equal(await status(bounty), 'Expired');
+    const mine = ok(await poster.run('mine', { role: 'poster', active: true }));
+    const row = mine.bounties.find(b => b.address === bounty);
+    assert.equal(row.status, 'Expired');
+    assert.equal(row.actionRequired, true);
+    const overdue = ok(await poster.run('deadlines'));
+    assert.equal(overdue.deadlines.find(d => d.address === bounty)?.kind, 'open-expired');
+    const browse = ok(await worker.run('browse', { skill: 'misc' }));
+    assert.ok(!browse.bounties.some(b => b.address === bounty), 'browse lists open bounties only');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Local chain for the e2e suite.
+ *
+ * Spawns anvil and compiles the harness's own contracts with solc-js: test
+ * tokens, plus stand-ins for the Clara registries and factory
+ * (contracts/ClaraStubs.sol). Setting CLARA_CONTRACTS_OUT deploys the real
+ * contracts from a Foundry `out/` directory instead. Which artifacts to
+ * deploy, and with which constructor arguments, comes from deploy-plan.json
+ * (or CLARA_DEPLOY_PLAN).
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import { readFileSync, existsSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import solc from 'solc';
+import { createPublicClient, createWalletClient, http, parseUnits } from 'viem';
+import { mnemonicToAccount } from 'viem/accounts';
+import { foundry } from 'viem/chains';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+
+export const ANVIL_BIN = process.env.ANVIL_BIN || 'anvil';
+export const CONTRACTS_OUT = process.env.CLARA_CONTRACTS_OUT || '';
+export const DEPLOY_PLAN_FILE = process.env.CLARA_DEPLOY_PLAN || join(HERE, 'deploy-plan.json');
+
+/** anvil's default dev mnemonic; account 0 deploys and mints */
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+export const deployer = mnemonicToAccount(DEV_MNEMONIC, { addressIndex: 0 });
+
+/** Private key of a prefunded anvil dev account */
+export function devPrivateKey(index) {
+  return `0x${Buffer.from(mnemonicToAccount(DEV_MNEMONIC, { addressIndex: index }).getHdKey().privateKey).toString('hex')}`;
+}
+
+const REQUIRED = ['IDENTITY_REGISTRY', 'REPUTATION_REGISTRY', 'BOUNTY_FACTORY'];
+const SOURCES = ['TestTokens.sol', 'ClaraStubs.sol'];
+
+function loadPlan() {
+  return JSON.parse(readFileSync(DEPLOY_PLAN_FILE, 'utf-8'));
+}
+
+/** Foundry lays artifacts out as out/<File>.sol/<Name>.json; "File.sol:Name" picks a specific file */
+function artifactPath(ref) {
+  const [file, name] = ref.includes(':') ? ref.split(':') : [`${ref}.sol`, ref];
+  return join(CONTRACTS_OUT, file, `${name}.json`);
+}
+
+function loadArtifact(ref, compiled) {
+  if (!CONTRACTS_OUT) {
+    const name = ref.includes(':') ? ref.split(':')[1] : ref;
+    if (!compiled[name]) throw new Error(`No harness stub for ${ref}; set CLARA_CONTRACTS_OUT to deploy it from a Foundry build`);
+    return compiled[name];
+  }
+  const artifact = JSON.parse(readFileSync(artifactPath(ref), 'utf-8'));
+  const bytecode = artifact.bytecode?.object ?? artifact.bytecode;
+  if (!bytecode || bytecode === '0x') throw new Error(`Artifact ${ref} has no creation bytecode (abstract or interface?)`);
+  return { abi: artifact.abi, bytecode: bytecode.startsWith('0x') ? bytecode : `0x${bytecode}` };
+}
+
+/** Why the e2e suite cannot run here, or null when it can */
+export function unavailableReason() {
+  const probe = spawnSync(ANVIL_BIN, ['--version'], { encoding: 'utf-8', timeout: 10_000 });
+  if (probe.error || probe.status !== 0) return `anvil not found (set ANVIL_BIN or install Foundry)`;
+  if (!CONTRACTS_OUT) return null;
+  for (const step of loadPlan().steps) {
+    if (!existsSync(artifactPath(step.artifact))) return `Missing artifact ${artifactPath(step.artifact)}`;
+  }
+  return null;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/** Start anvil on a free port and wait until it answers RPC */
+export async function startAnvil() {
+  const port = await freePort();
+  const child = spawn(ANVIL_BIN, ['--port', String(port), '--chain-id', String(foundry.id), '--silent'], {
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (d) => { stderr += d; });
+
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const pub = createPublicClient({ chain: foundry, transport: http(rpcUrl, { retryCount: 0 }) });
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`anvil exited (${child.exitCode}): ${stderr.trim()}`);
+    try {
+      await pub.getChainId();
+      return { rpcUrl, stop: () => child.kill() };
+    } catch {
+      await new Promise(r => setTimeout(r, 100));
+    }
+  }
+  child.kill();
+  throw new Error(`anvil did not start on ${rpcUrl}: ${stderr.trim()}`);
+}
+
+/** Compile the harness contracts (test tokens and Clara stubs) with solc-js, keyed by contract name */
+export function compileHarnessContracts() {
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(SOURCES.map(file => [file, { content: readFileSync(join(HERE, 'contracts', file), 'utf-8') }])),
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } },
+  };
+  const result = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (result.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  const out = {};
+  for (const file of SOURCES) {
+    for (const [name, c] of Object.entries(result.contracts[file])) {
+      out[name] = { abi: c.abi, bytecode: `0x${c.evm.bytecode.object}` };
+    }
+  }
+  return out;
+}
+
+/**
+ * Constructor arguments by parameter name, for plan steps without explicit args.
+ * Anything unrecognised must be given in the plan.
+ */
+function autoArg(input, refs) {
+  const n = input.name.replace(/_/g, '').toLowerCase();
+  if (n.includes('identity')) return refs.IDENTITY_REGISTRY;
+  if (n.includes('reputation')) return refs.REPUTATION_REGISTRY;
+  if (n.includes('implementation')) return refs.BOUNTY_IMPLEMENTATION;
+  if (n.includes('bondrate')) return 1000n;
+  if (['owner', 'initialowner', 'admin', 'treasury', 'feerecipient'].includes(n)) return deployer.address;
+  return undefined;
+}
+
+function resolveArg(value, refs) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    const key = value.slice(1);
+    if (key === 'deployer') return deployer.address;
+    if (!(key in refs)) throw new Error(`Deploy plan references ${value} before it is deployed`);
+    return refs[key];
+  }
+  return value;
+}
+
+/** Deploy tokens and the plan's contracts; returns a network profile for networks.json */
+export async function deploy(rpcUrl) {
+  const pub = createPublicClient({ chain: foundry, transport: http(rpcUrl) });
+  const wallet = createWalletClient({ account: deployer, chain: foundry, transport: http(rpcUrl) });
+
+  async function deployContract({ abi, bytecode }, args = []) {
+    const hash = await wallet.deployContract({ abi, bytecode, args });
+    const receipt = await pub.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') throw new Error(`Deployment reverted: ${hash}`);
+    return receipt.contractAddress;
+  }
+
+  const compiled = compileHarnessContracts();
+  const tokens = {
+    USDC: { address: await deployContract(compiled.TestToken, ['USD Coin', 'USDC', 6]), decimals: 6 },
+    WETH: { address: await deployContract(compiled.TestWETH), decimals: 18 },
+  };
+
+  const refs = Object.fromEntries(Object.entries(tokens).map(([sym, t]) => [sym, t.address]));
+  for (const step of loadPlan().steps) {
+    const artifact = loadArtifact(step.artifact, compiled);
+    const ctor = artifact.abi.find(item => item.type === 'constructor');
+    const args = step.args
+      ? step.args.map(a => resolveArg(a, refs))
+      : (ctor?.inputs || []).map(input => {
+        const value = autoArg(input, refs);
+        if (value === undefined) {
+          throw new Error(`${step.artifact} constructor parameter "${input.name}" needs explicit "args" in ${DEPLOY_PLAN_FILE}`);
+        }
+        return value;
+      });
+    refs[step.name] = await deployContract(artifact, args);
+
+    for (const call of step.calls || []) {
+      const hash = await wallet.writeContract({
+        address: refs[step.name],
+        abi: artifact.abi,
+        functionName: call.function,
+        args: (call.args || []).map(a => resolveArg(a, refs)),
+      });
+      await pub.waitForTransactionReceipt({ hash });
+    }
+  }
+
+  const missing = REQUIRED.filter(k => !refs[k]);
+  if (missing.length > 0) throw new Error(`Deploy plan did not produce ${missing.join(', ')}`);
+
+  return {
+    contracts: Object.fromEntries(REQUIRED.map(k => [k, refs[k]])),
+    tokens,
+    tokenAbi: compiled.TestToken.abi,
+  };
+}
+
+/** Mint test tokens (human units) to an address */
+export async function mint(rpcUrl, token, abi, to, amount) {
+  const pub = createPublicClient({ chain: foundry, transport: http(rpcUrl) });
+  const wallet = createWalletClient({ account: deployer, chain: foundry, transport: http(rpcUrl) });
+  const hash = await wallet.writeContract({
+    address: token.address,
+    abi,
+    functionName: 'mint',
+    args: [to, parseUnits(String(amount), token.decimals)],
+  });
+  await pub.waitForTransactionReceipt({ hash });
+}
@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev The slice of ERC-20 / EIP-2612 the stubs call.
+interface IStubToken {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+}
+
+/// @notice ERC-8004-shaped identity registry, for the local test harness only.
+/// Agent IDs start at 1; `tokenOfOwnerByIndex` returns an owner's first agent.
+contract IdentityRegistry {
+    uint256 private nextId = 1;
+    mapping(uint256 => address) public ownerOf;
+    mapping(uint256 => string) public tokenURI;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => uint256) private firstAgent;
+
+    event Register(uint256 indexed agentId, address indexed owner, string agentURI);
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+
+    function register(string calldata agentURI) external returns (uint256 agentId) {
+        agentId = nextId++;
+        ownerOf[agentId] = msg.sender;
+        tokenURI[agentId] = agentURI;
+        balanceOf[msg.sender]++;
+        if (firstAgent[msg.sender] == 0) firstAgent[msg.sender] = agentId;
+        emit Transfer(address(0), msg.sender, agentId);
+        emit Register(agentId, msg.sender, agentURI);
+    }
+
+    function updateURI(uint256 agentId, string calldata newURI) external {
+        require(ownerOf[agentId] == msg.sender, "not owner");
+        tokenURI[agentId] = newURI;
+    }
+
+    function tokenOfOwnerByIndex(address owner, uint256) external view returns (uint256) {
+        require(firstAgent[owner] != 0, "no agent");
+        return firstAgent[owner];
+    }
+}
+
+/// @notice ERC-8004-shaped reputation registry. `getSummary` ignores its
+/// client and tag filters and averages every unrevoked entry for the agent.
+contract ReputationRegistry {
+    address public immutable identityRegistry;
+
+    mapping(uint256 => uint64) private entries;
+    mapping(uint256 => uint64) private active;
+    mapping(uint256 => int128) private total;
+    mapping(bytes32 => int128) private values;
+
+    event NewFeedback(
+        uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, uint8 valueDecimals,
+        string indexed indexedTag1, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash
+    );
+    event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 indexed feedbackIndex);
+
+    constructor(address identityRegistry_) {
+        identityRegistry = identityRegistry_;
+    }
+
+    // Functions with long signatures take memory strings: calldata strings use two
+    // stack slots each and overflow the legacy code generator.
+    function giveFeedback(
+        uint256 agentId, int128 value, uint8 valueDecimals, string memory tag1, string memory tag2,
+        string memory endpoint, string memory feedbackURI, bytes32 feedbackHash
+    ) external {
+        uint64 index = ++entries[agentId];
+        active[agentId]++;
+        total[agentId] += value;
+        values[keccak256(abi.encode(agentId, msg.sender, index))] = value;
+        emit NewFeedback(agentId, msg.sender, index, value, valueDecimals, tag1, tag1, tag2, endpoint, feedbackURI, feedbackHash);
+    }
+
+    function revokeFeedback(uint256 agentId, uint64 feedbackIndex) external {
+        bytes32 key = keccak256(abi.encode(agentId, msg.sender, feedbackIndex));
+        require(values[key] != 0, "no feedback");
+        total[agentId] -= values[key];
+        active[agentId]--;
+        delete values[key];
+        emit FeedbackRevoked(agentId, msg.sender, feedbackIndex);
+    }
+
+    function getSummary(uint256 agentId, address[] calldata, string calldata, string calldata)
+        external view returns (uint64 count, int128 summaryValue, uint8 summaryValueDecimals)
+    {
+        count = active[agentId];
+        summaryValue = count == 0 ? int128(0) : total[agentId] / int128(uint128(count));
+        summaryValueDecimals = 0;
+    }
+}
+
+/// @notice One escrowed bounty. Status codes follow references/contracts.md;
+/// Expired (6) is derived from the deadline while the bounty is still Open.
+contract Bounty {
+    uint8 private constant OPEN = 0;
+    uint8 private constant CLAIMED = 1;
+    uint8 private constant SUBMITTED = 2;
+    uint8 private constant APPROVED = 3;
+    uint8 private constant REJECTED = 4;
+    uint8 private constant CANCELLED = 5;
+    uint8 private constant EXPIRED = 6;
+    address private constant BURN = address(0xdead);
+
+    address public immutable token;
+    address public immutable poster;
+    address private immutable reputationRegistry;
+    uint256 public immutable amount;
+    uint256 public immutable posterBond;
+    uint256 public immutable deadline;
+    uint256 private immutable bondRate;
+    string public taskURI;
+
+    uint8 private state;
+    address public claimer;
+    uint256 public claimerAgentId;
+    uint256 public workerBond;
+    string public proofURI;
+    uint256 public submittedAt;
+    uint8 public rejectionCount;
+
+    event BountyClaimed(address indexed claimer, uint256 agentId);
+    event WorkSubmitted(address indexed claimer, string proofURI);
+    event BountyApproved(address indexed claimer, uint256 amount);
+    event BountyRejected(address indexed poster, address indexed claimer, uint8 rejectionCount);
+    event BountyCancelled(address indexed poster, uint256 amount);
+
+    constructor(
+        address poster_, address token_, uint256 amount_, uint256 posterBond_, uint256 bondRate_,
+        uint256 deadline_, string memory taskURI_, address reputationRegistry_
+    ) {
+        poster = poster_;
+        token = token_;
+        amount = amount_;
+        posterBond = posterBond_;
+        bondRate = bondRate_;
+        deadline = deadline_;
+        taskURI = taskURI_;
+        reputationRegistry = reputationRegistry_;
+    }
+
+    function status() public view returns (uint8) {
+        return state == OPEN && block.timestamp > deadline ? EXPIRED : state;
+    }
+
+    function claim(uint256 agentId) external {
+        _claim(agentId);
+    }
+
+    function claimWithPermit(uint256 agentId, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) external {
+        IStubToken(token).permit(msg.sender, address(this), (amount * bondRate) / 10000, permitDeadline, v, r, s);
+        _claim(agentId);
+    }
+
+    function submitWork(string calldata proofURI_) external {
+        require(msg.sender == claimer && state == CLAIMED, "not claimer or not claimed");
+        proofURI = proofURI_;
+        submittedAt = block.timestamp;
+        state = SUBMITTED;
+        emit WorkSubmitted(msg.sender, proofURI_);
+    }
+
+    function approve() public {
+        require(msg.sender == poster && state == SUBMITTED, "not poster or not submitted");
+        state = APPROVED;
+        IStubToken(token).transfer(claimer, amount + workerBond);
+        IStubToken(token).transfer(poster, posterBond);
+        emit BountyApproved(claimer, amount);
+    }
+
+    function approveWithFeedback(
+        int128 value, uint8 valueDecimals, string memory tag1, string memory tag2,
+        string memory endpoint, string memory feedbackURI, bytes32 feedbackHash
+    ) external {
+        approve();
+        ReputationRegistry(reputationRegistry).giveFeedback(
+            claimerAgentId, value, valueDecimals, tag1, tag2, endpoint, feedbackURI, feedbackHash
+        );
+    }
+
+    function reject() external {
+        require(msg.sender == poster && state == SUBMITTED, "not poster or not submitted");
+        rejectionCount++;
+        emit BountyRejected(poster, claimer, rejectionCount);
+        if (rejectionCount == 1) {
+            // Worker bond slashed: half to the poster, half burned; the claimer may resubmit
+            uint256 half = workerBond / 2;
+            state = CLAIMED;
+            IStubToken(token).transfer(poster, half);
+            IStubToken(token).transfer(BURN, workerBond - half);
+            workerBond = 0;
+        } else {
+            state = REJECTED;
+            IStubToken(token).transfer(poster, amount);
+            IStubToken(token).transfer(BURN, posterBond + workerBond);
+        }
+    }
+
+    function cancel() external {
+        require(msg.sender == poster && state == OPEN, "not poster or not open");
+        state = CANCELLED;
+        IStubToken(token).transfer(poster, amount + posterBond);
+        emit BountyCancelled(poster, amount);
+    }
+
+    function _claim(uint256 agentId) internal {
+        require(status() == OPEN, "not open");
+        workerBond = (amount * bondRate) / 10000;
+        require(IStubToken(token).transferFrom(msg.sender, address(this), workerBond), "bond");
+        claimer = msg.sender;
+        claimerAgentId = agentId;
+        state = CLAIMED;
+        emit BountyClaimed(msg.sender, agentId);
+    }
+}
+
+/// @notice Deploys bounties and escrows amount + poster bond from the poster.
+contract BountyFactory {
+    uint256 public bondRate;
+    address public immutable owner;
+    address public immutable identityRegistry;
+    address public immutable reputationRegistry;
+
+    event BountyCreated(
+        address indexed bountyAddress, address indexed poster, address token, uint256 amount, uint256 posterBond,
+        uint256 bondRate, uint256 deadline, string taskURI, string[] skillTags
+    );
+
+    constructor(address identityRegistry_, address reputationRegistry_, uint256 bondRate_, address owner_) {
+        identityRegistry = identityRegistry_;
+        reputationRegistry = reputationRegistry_;
+        bondRate = bondRate_;
+        owner = owner_;
+    }
+
+    /// @notice Basis points of the amount taken as poster and worker bond, for bounties created from now on.
+    function setBondRate(uint256 bondRate_) external {
+        require(msg.sender == owner, "owner");
+        bondRate = bondRate_;
+    }
+
+    function createBounty(address token, uint256 amount, uint256 deadline, string memory taskURI, string[] memory skillTags)
+        external returns (address)
+    {
+        return _create(token, amount, deadline, taskURI, skillTags);
+    }
+
+    function createBountyWithPermit(
+        address token, uint256 amount, uint256 deadline, string memory taskURI, string[] memory skillTags,
+        uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s
+    ) external returns (address) {
+        IStubToken(token).permit(msg.sender, address(this), amount + (amount * bondRate) / 10000, permitDeadline, v, r, s);
+        return _create(token, amount, deadline, taskURI, skillTags);
+    }
+
+    function _create(address token, uint256 amount, uint256 deadline, string memory taskURI, string[] memory skillTags)
+        internal returns (address bountyAddress)
+    {
+        require(amount > 0, "amount");
+        require(deadline > block.timestamp, "deadline");
+        uint256 posterBond = (amount * bondRate) / 10000;
+        bountyAddress = address(new Bounty(msg.sender, token, amount, posterBond, bondRate, deadline, taskURI, reputationRegistry));
+        require(IStubToken(token).transferFrom(msg.sender, bountyAddress, amount + posterBond), "escrow");
+        emit BountyCreated(bountyAddress, msg.sender, token, amount, posterBond, bondRate, deadline, taskURI, skillTags);
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Hermetic harness: anvil + deployed contracts + mock proxy + a CLI driver.
+ *
+ * Each actor gets its own HOME, so sessions, indexes and journals never touch
+ * ~/.openclaw. All actors share a networks.json whose "local" profile points
+ * at the harness chain and proxy.
+ */
+
+import { execFile } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startAnvil, deploy, mint, devPrivateKey, unavailableReason } from './chain.mjs';
+import { startProxy } from './proxy.mjs';
+
+export { unavailableReason, devPrivateKey };
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'scripts', 'clara-work.mjs');
+const CLI_TIMEOUT_MS = 120_000;
+
+/** { bounty: '0x..', 'dry-run': true } -> ['--bounty', '0x..', '--dry-run'] */
+function toArgv(options) {
+  const argv = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (value === false || value === undefined || value === null) continue;
+    argv.push(`--${key}`);
+    if (value !== true) argv.push(String(value));
+  }
+  return argv;
+}
+
+export async function startHarness() {
+  const anvil = await startAnvil();
+  let proxy = null;
+  let root = null;
+  const stop = async () => {
+    await proxy?.stop();
+    anvil.stop();
+    if (root) rmSync(root, { recursive: true, force: true });
+  };
+
+  try {
+    const deployment = await deploy(anvil.rpcUrl);
+    proxy = await startProxy({ rpcUrl: anvil.rpcUrl });
+    root = mkdtempSync(join(tmpdir(), 'clara-e2e-'));
+
+    const networksFile = join(root, 'networks.json');
+    writeFileSync(networksFile, JSON.stringify({
+      default: 'local',
+      networks: {
+        local: {
+          chain: 'foundry',
+          rpcUrls: [anvil.rpcUrl],
+          proxyUrl: proxy.url,
+          contracts: deployment.contracts,
+          tokens: deployment.tokens,
+          firstBlock: 0,
+          blockTime: 1,
+        },
+      },
+    }, null, 2));
+
+    const env = { ...process.env, CLARA_NETWORKS_FILE: networksFile, CLARA_NETWORK: 'local' };
+    delete env.BASE_RPC_URL;
+    delete env.CLARA_PROXY_URL;
+    delete env.CLARA_WEBHOOK_URL;
+    delete env.CLARA_PRIVATE_KEY;
+    delete env.CLARA_KEYSTORE_PASSWORD;
+
+    /** A CLI user with its own HOME (and optional extra env); run() resolves to the command's JSON output */
+    function actor(name, extraEnv = {}) {
+      const home = join(root, name);
+      mkdirSync(home, { recursive: true });
+      return {
+        name,
+        home,
+        run(command, options = {}) {
+          return new Promise((resolve, reject) => {
+            // "tx speedup" -> a command plus its positional subcommand
+            execFile(process.execPath, [CLI, ...command.split(' '), ...toArgv(options)], {
+              env: { ...env, ...extraEnv, HOME: home },
+              timeout: CLI_TIMEOUT_MS,
+            }, (err, stdout, stderr) => {
+              // Failed commands still print { ok: false, error } and exit 1
+              try {
+                resolve(JSON.parse(stdout));
+              } catch {
+                reject(new Error(`${command} produced no JSON (${err?.message || 'exit 0'}):\n${stdout}\n${stderr}`));
+              }
+            });
+          });
+        },
+        /** For streaming commands (watch, autopilot --once): resolves to the JSON lines printed */
+        lines(command, options = {}) {
+          return new Promise((resolve, reject) => {
+            execFile(process.execPath, [CLI, ...command.split(' '), ...toArgv(options)], {
+              env: { ...env, ...extraEnv, HOME: home },
+              timeout: CLI_TIMEOUT_MS,
+            }, (err, stdout, stderr) => {
+              if (err) return reject(new Error(`${command} failed (${err.message}):\n${stdout}\n${stderr}`));
+              resolve(stdout.split('\n').filter(Boolean).map(line => JSON.parse(line)));
+            });
+          });
+        },
+        session() {
+          return JSON.parse(readFileSync(join(home, '.openclaw', 'credentials', 'clara', 'session.json'), 'utf-8'));
+        },
+      };
+    }
+
+    return {
+      rpcUrl: anvil.rpcUrl,
+      proxy,
+      deployment,
+      actor,
+      mint: (symbol, to, amount) => mint(anvil.rpcUrl, deployment.tokens[symbol], deployment.tokenAbi, to, amount),
+      stop,
+    };
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+}
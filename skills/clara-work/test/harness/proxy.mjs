@@ -0,0 +1,127 @@
+/**
+ * Stand-in for clara-proxy's Para endpoints, backed by local keys.
+ *
+ *   POST /api/v1/wallets                 create (or return) the wallet for an email
+ *   POST /api/v1/wallets/:id/sign-raw    sign a 32-byte hash with the wallet's key (failSigning() refuses one,
+ *                                        beforeSigning() runs a callback before answering one)
+ *   POST /onboard/sponsor-gas            fund X-Clara-Address via anvil_setBalance
+ *   POST /agents/:id.json                store a published agent profile (GET reads it)
+ *
+ * Keys are derived from the email, so "same email = same wallet" holds as it
+ * does against Para.
+ */
+
+import { createServer } from 'node:http';
+import { keccak256, stringToHex, isHex, toHex, parseEther } from 'viem';
+import { privateKeyToAccount, sign } from 'viem/accounts';
+
+const SPONSOR_AMOUNT = parseEther('0.05');
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      try { resolve(body ? JSON.parse(body) : {}); } catch { resolve({}); }
+    });
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+export function startProxy({ rpcUrl }) {
+  const wallets = new Map();   // id -> { id, email, address, privateKey }
+  const agents = new Map();    // agentId -> profile
+  const sponsored = new Set();
+  const signing = { count: 0, failAt: null, hookAt: null, hook: null };   // call numbers to refuse / to run hook before
+
+  async function rpc(method, params) {
+    const res = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+    const body = await res.json();
+    if (body.error) throw new Error(body.error.message);
+    return body.result;
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    try {
+      if (req.method === 'POST' && url.pathname === '/api/v1/wallets') {
+        if (!body.userIdentifier) return send(res, 400, { error: 'userIdentifier required' });
+        const privateKey = keccak256(stringToHex(`clara-harness:${body.userIdentifier}`));
+        const { address } = privateKeyToAccount(privateKey);
+        const id = `wallet-${address.slice(2, 10).toLowerCase()}`;
+        wallets.set(id, { id, email: body.userIdentifier, address, privateKey });
+        return send(res, 200, { id, address, type: 'EVM' });
+      }
+
+      const signMatch = url.pathname.match(/^\/api\/v1\/wallets\/([^/]+)\/sign-raw$/);
+      if (req.method === 'POST' && signMatch) {
+        const wallet = wallets.get(signMatch[1]);
+        if (!wallet) return send(res, 404, { error: `Unknown wallet ${signMatch[1]}` });
+        if (req.headers['x-clara-address']?.toLowerCase() !== wallet.address.toLowerCase()) {
+          return send(res, 403, { error: 'X-Clara-Address does not match wallet' });
+        }
+        if (!isHex(body.data)) return send(res, 400, { error: 'data must be hex' });
+        if (++signing.count === signing.failAt) return send(res, 503, { error: 'Signing unavailable' });
+        if (signing.count === signing.hookAt) {
+          const hook = signing.hook;
+          signing.hookAt = signing.hook = null;
+          await hook();
+        }
+        // Para signs a 32-byte digest; longer payloads are hashed first
+        const hash = body.data.length === 66 ? body.data : keccak256(body.data);
+        const signature = await sign({ hash, privateKey: wallet.privateKey, to: 'hex' });
+        return send(res, 200, { signature });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/onboard/sponsor-gas') {
+        const address = req.headers['x-clara-address'];
+        if (!address) return send(res, 400, { error: 'X-Clara-Address required' });
+        if (sponsored.has(address.toLowerCase())) return send(res, 429, { error: 'Already sponsored' });
+        await rpc('anvil_setBalance', [address, toHex(SPONSOR_AMOUNT)]);
+        sponsored.add(address.toLowerCase());
+        return send(res, 200, { ok: true, amount: SPONSOR_AMOUNT.toString() });
+      }
+
+      const agentMatch = url.pathname.match(/^\/agents\/(\d+)\.json$/);
+      if (agentMatch && (req.method === 'PUT' || req.method === 'POST')) {
+        agents.set(agentMatch[1], body);
+        return send(res, 200, { ok: true });
+      }
+      if (agentMatch && req.method === 'GET') {
+        const profile = agents.get(agentMatch[1]);
+        return profile ? send(res, 200, profile) : send(res, 404, { error: 'Not found' });
+      }
+
+      send(res, 404, { error: `No route ${req.method} ${url.pathname}` });
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        wallets,
+        agents,
+        /** Signatures requested so far (refused ones included) */
+        signatures: () => signing.count,
+        /** Refuse the nth sign-raw request from now, e.g. to interrupt a multi-step command */
+        failSigning: (nth = 1) => { signing.failAt = signing.count + nth; },
+        /** Run `fn` (awaited) before answering the nth sign-raw request from now, e.g. to lose a race */
+        beforeSigning: (nth, fn) => { signing.hookAt = signing.count + nth; signing.hook = fn; },
+        stop: () => new Promise((r) => { server.closeAllConnections(); server.close(r); }),
+      });
+    });
+  });
+}